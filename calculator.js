@@ -6,240 +6,2068 @@
  * Built with accessibility (WCAG 2.1 AA) and maintainability in mind.
  */
 
-import { state, setState, subscribe } from './modules/state.js';
-import { calculateBondMetrics } from './modules/calculations.js';
+import { state, setState, subscribe, batch, derive } from './modules/state.js';
+import { 
+  AMORTIZING_STRUCTURES, 
+  BOND_STRUCTURES, 
+  calculateBondMetrics, 
+  calculateFromInputs, 
+  calculatePricePath, 
+  calculateSpotPrice, 
+  solveYieldToMaturity 
+} from './modules/calculations.js';
 import { 
   validateAllInputs, 
   validateField, 
+  validatePeriods, 
+  validateSettlement, 
+  validatePerpetual, 
+  validateSpotRates, 
+  validateParYields, 
+  validateSinkingFund, 
+  validateReferenceRates, 
+  validateOptionSchedule, 
+  validateHorizon, 
   updateFieldError, 
   updateValidationSummary,
   hasErrors 
 } from './modules/validation.js';
 import { 
   $, 
+  $$, 
   listen, 
   focusElement, 
   announceToScreenReader,
-  debounce 
+  debounce,
+  throttleToFrame,
+  frequencyLabel,
+  formatCurrency,
+  formatYears,
+  setText,
+  createElement
 } from './modules/utils.js';
-import { renderChart, shouldShowLabels, destroyChart } from './modules/chart.js';
-import { renderTable } from './modules/table.js';
+import { 
+  renderChart, 
+  renderPriceYieldChart, 
+  renderTermStructureChart, 
+  renderScenarioChart, 
+  renderHorizonChart, 
+  renderPricePathChart, 
+  renderYieldShockChart, 
+  scenarioColor, 
+  shouldShowLabels, 
+  destroyChart 
+} from './modules/chart.js';
+import { 
+  renderTable, 
+  renderTermStructureTable, 
+  renderHorizonTable, 
+  renderPricePathTable, 
+  renderYieldShockTable 
+} from './modules/table.js';
 import { renderResults } from './modules/results.js';
+import { renderWorkedSolution } from './modules/solution.js';
+import { DAY_COUNT_CONVENTIONS, couponPeriod, parseDate, addMonths, formatDate } from './modules/daycount.js';
+import { EMBEDDED_OPTIONS, calculateRedemptionYields } from './modules/redemption.js';
+import { calculateYieldMeasures } from './modules/yields.js';
+import { calculateHorizonScenarios } from './modules/horizon.js';
+import { parseRateList, formatRateList, bootstrapTermStructure } from './modules/curve.js';
+import { URL_STATE_KEYS, parseStateFromQuery, writeStateToUrl } from './modules/url.js';
+import { buildExportRows, toCSV, toSpreadsheetML, downloadFile } from './modules/export.js';
+import { 
+  SCENARIO_INPUT_KEYS, 
+  pickInputs, 
+  createScenario, 
+  nextScenarioName, 
+  updateScenario, 
+  findScenario 
+} from './modules/scenarios.js';
+import { 
+  loadStoredData, 
+  saveStoredData, 
+  saveBond, 
+  deleteBond 
+} from './modules/storage.js';
+import { 
+  createHistory, 
+  recordHistory, 
+  undoHistory, 
+  redoHistory, 
+  changedInputs, 
+  describeInputChanges, 
+  HISTORY_LIMIT 
+} from './modules/history.js';
+
+// Input values a newly added bond starts from
+const DEFAULT_INPUTS = pickInputs(state);
+
+// =============================================================================
+// INITIALIZATION
+// =============================================================================
+
+/**
+ * Initialize the calculator when DOM is ready
+ */
+function init() {
+  console.log('Bond Calculator initializing...');
+  
+  // Set up input event listeners
+  setupInputListeners();
+  
+  // Restore saved bonds and preferences from the last session
+  restoreStoredData();
+  
+  // Restore a shared scenario from the URL (its view wins over the remembered one)
+  restoreStateFromUrl();
+  
+  // Set up bond scenario list (add, duplicate, rename, remove)
+  setupScenarioControls();
+  
+  // Set up saving, loading and deleting bonds kept in this browser
+  setupSavedBonds();
+  
+  // Set up coupon/zero-coupon/perpetual bond type selector
+  setupStructureSelect();
+  
+  // Set up call/put option radios and exercise schedule
+  setupEmbeddedOption();
+  
+  // Set up solve-for (price/YTM) toggle
+  setupSolveForToggle();
+  
+  // Set up single yield / spot curve pricing toggle
+  setupPricingModeToggle();
+  
+  // Set up view toggle listeners
+  setupViewToggle();
+  applyView(state.viewMode);
+  
+  // Set up nominal/present value bar selector
+  setupChartValuesSelect();
+  
+  // Set up par yield input for the yield curve view
+  setupTermStructure();
+  
+  // Set up horizon, reinvestment rate and sale yield inputs
+  setupHorizonInputs();
+  
+  // Set up cash flow schedule export buttons
+  setupExportButtons();
+  
+  // Set up skip link handlers
+  setupSkipLinks();  // ← Add this line
+  
+  // Set up window resize listener for chart labels
+  setupResizeListener();
+  
+  // Render the results and the active view when what they show changes
+  subscribe(renderCalculations, ['bondCalculations', 'comparison']);
+  subscribe(renderActiveView, ACTIVE_VIEW_KEYS);
+  
+  // Keep the sliders on their inputs even while the inputs are invalid and
+  // there are no results to render
+  subscribe(syncSliders, SCENARIO_INPUT_KEYS);
+  
+  // Keep the URL in sync so the scenario can be shared
+  subscribe(writeStateToUrl, URL_STATE_KEYS);
+  
+  // Calculate the bond whenever its inputs change, then compare the scenarios
+  // (both ready before the first render)
+  batch(() => {
+    derive(calculationInputs, calculateBond);
+    derive(
+      ({ bondCalculations, scenarios, activeScenarioId }) => [bondCalculations, scenarios, activeScenarioId],
+      current => ({ comparison: buildComparison(current) })
+    );
+  });
+  
+  // Record input changes for undo and redo (from the calculated starting point)
+  setupHistory();
+  
+  // Run self-tests
+  runSelfTests();
+  
+  console.log('Bond Calculator ready');
+}
+
+/**
+ * Set up skip link handlers for accessibility
+ */
+function setupSkipLinks() {
+  const skipToTable = document.querySelector('a[href="#data-table"]');
+  
+  if (skipToTable) {
+    listen(skipToTable, 'click', (e) => {
+      // Prevent default to handle it ourselves
+      e.preventDefault();
+      
+      // Switch to table view if not already there
+      if (state.viewMode !== 'table') {
+        switchView('table');
+      } else {
+        // If already in table view, just focus the table
+        focusElement($('#cash-flow-table'), 100);
+      }
+      
+      // Scroll the section into view
+      const section = $('#data-table');
+      if (section) {
+        section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      }
+    });
+  }
+}
+
+// =============================================================================
+// INPUT HANDLING
+// =============================================================================
+
+/**
+ * Input elements and the state field each one edits
+ * Text fields (dates, day-count convention) are stored as entered; numeric
+ * fields marked `slider` get a linked range slider. Numeric values are shown
+ * to at most `decimals` places (4 unless given), as solved values are.
+ */
+const INPUT_FIELDS = [
+  { id: 'coupon-rate', field: 'couponRate', slider: true },
+  { id: 'ytm', field: 'ytm', slider: true },
+  { id: 'years', field: 'years', slider: true },
+  { id: 'price', field: 'price', slider: true, decimals: 2 },
+  { id: 'face-value', field: 'faceValue', slider: true },
+  { id: 'frequency', field: 'frequency' },
+  { id: 'reference-rate', field: 'referenceRate', slider: true },
+  { id: 'quoted-margin', field: 'quotedMargin', slider: true },
+  { id: 'discount-margin', field: 'discountMargin', slider: true },
+  { id: 'last-coupon-date', field: 'lastCouponDate', text: true },
+  { id: 'settlement-date', field: 'settlementDate', text: true },
+  { id: 'day-count', field: 'dayCount', text: true }
+];
+
+/**
+ * Set up event listeners for input fields
+ * Typing is debounced so partial numbers are not validated; a slider updates
+ * once per animation frame so the results and chart follow it smoothly.
+ */
+function setupInputListeners() {
+  INPUT_FIELDS.forEach(({ id, field, text, slider }) => {
+    const input = $(`#${id}`);
+    if (!input) return;
+    
+    // Update state on input change (debounced)
+    const debouncedUpdate = debounce(() => {
+      updateField(id, field, text ? input.value : parseFloat(input.value));
+    }, 300);
+    
+    listen(input, 'input', debouncedUpdate);
+    listen(input, 'change', debouncedUpdate);
+    
+    if (slider) {
+      setupSlider(input, id, field);
+    }
+  });
+}
+
+/**
+ * Create a range slider linked to a numeric input
+ * The slider takes the input's range and step and sits below it; the number
+ * box stays the precise, keyboard-friendly way to enter a value.
+ * @param {HTMLInputElement} input - Numeric input
+ * @param {string} id - Input element id
+ * @param {string} field - State field the input edits
+ */
+function setupSlider(input, id, field) {
+  const label = document.querySelector(`label[for="${id}"]`);
+  const name = label ? label.textContent.replace(/\(.*\)|:/g, '').trim() : field;
+  
+  const slider = createElement('input', {
+    type: 'range',
+    id: `${id}-slider`,
+    className: 'input-slider',
+    min: input.min,
+    max: input.max,
+    step: input.step,
+    value: input.value,
+    'aria-label': `${name} slider`
+  });
+  input.parentElement.insertAdjacentElement('afterend', slider);
+  
+  const frameUpdate = throttleToFrame(() => updateField(id, field, parseFloat(slider.value)));
+  
+  listen(slider, 'input', () => {
+    input.value = slider.value;
+    frameUpdate();
+  });
+}
+
+/**
+ * Keep each slider on its input's value, and unavailable when the input is
+ * read-only or disabled (a solved field, or a field the bond type ignores)
+ */
+function syncSliders() {
+  INPUT_FIELDS.forEach(({ id, slider }) => {
+    if (!slider) return;
+    
+    const input = $(`#${id}`);
+    const rangeInput = $(`#${id}-slider`);
+    if (!input || !rangeInput) return;
+    
+    if (input.value !== '' && Number.isFinite(parseFloat(input.value))) {
+      rangeInput.value = input.value;
+    }
+    rangeInput.disabled = input.disabled || input.readOnly;
+  });
+}
+
+/**
+ * Reprice at a yield dragged to on the price–yield chart
+ * Like a slider, the drag updates once per animation frame; the yield is
+ * kept within the input's range and rounded to a basis point.
+ */
+const dragYield = throttleToFrame((ytm) => {
+  const input = $('#ytm');
+  const value = Math.round(Math.min(Math.max(ytm, parseFloat(input.min)), parseFloat(input.max)) * 100) / 100;
+  
+  input.value = value;
+  updateField('ytm', 'ytm', value);
+});
+
+/**
+ * Validate a new input value, store it and recalculate
+ * Cross-field checks (whole periods, rate lists, exercise dates, settlement)
+ * are repeated for the fields they depend on.
+ * @param {string} id - Input element id
+ * @param {string} field - State field
+ * @param {number|string} value - New value
+ */
+function updateField(id, field, value) {
+  // Solved (output) fields are not user input
+  if (isOutputField(field)) return;
+  
+  // Validate field
+  const error = validateField(field, value);
+  updateFieldError(id, error);
+  
+  // Update state
+  const errors = { ...state.errors };
+  if (error) {
+    errors[field] = error;
+  } else {
+    delete errors[field];
+  }
+  
+  // A perpetual bond is worth PMT/r, which needs a coupon and a positive yield
+  if ((field === 'couponRate' || field === 'ytm') && state.structure === 'perpetual' && !error) {
+    const perpetualError = validatePerpetual({ ...state, [field]: value })[field] || null;
+    if (perpetualError) {
+      errors[field] = perpetualError;
+    }
+    updateFieldError(id, perpetualError);
+  }
+  
+  // Years must be a whole number of periods at the chosen frequency
+  // (a perpetual bond has no maturity to check)
+  if ((field === 'years' || field === 'frequency') && state.structure !== 'perpetual') {
+    const next = { ...state, [field]: value };
+    const yearsError = validateField('years', next.years) ||
+      (errors.frequency ? null : validatePeriods(next.years, next.frequency));
+    if (yearsError) {
+      errors.years = yearsError;
+    } else {
+      delete errors.years;
+    }
+    updateFieldError('years', yearsError);
+  }
+  
+  // A spot curve needs one rate per period
+  if ((field === 'years' || field === 'frequency') && state.pricingMode === 'spot') {
+    const next = { ...state, [field]: value };
+    const spotError = errors.years || errors.frequency
+      ? null
+      : validateSpotRates(next.spotRates, next.years * next.frequency);
+    if (spotError) {
+      errors.spotRates = spotError;
+    } else {
+      delete errors.spotRates;
+    }
+  }
+  
+  // A reference rate path needs one rate per period
+  if ((field === 'years' || field === 'frequency') && state.structure === 'frn' &&
+      state.referencePath === 'custom') {
+    const next = { ...state, [field]: value };
+    const referenceError = errors.years || errors.frequency
+      ? null
+      : validateReferenceRates(next.referenceRates, next.years * next.frequency);
+    if (referenceError) {
+      errors.referenceRates = referenceError;
+    } else {
+      delete errors.referenceRates;
+    }
+  }
+  
+  // Sinking fund payments are checked against the periods before maturity
+  if ((field === 'years' || field === 'frequency') && state.structure === 'sinking') {
+    const next = { ...state, [field]: value };
+    const sinkingError = errors.years || errors.frequency
+      ? null
+      : validateSinkingFund(next.sinkingFund, next.years * next.frequency);
+    if (sinkingError) {
+      errors.sinkingFund = sinkingError;
+    } else {
+      delete errors.sinkingFund;
+    }
+  }
+  
+  // Exercise dates are coupon dates on or before maturity
+  if (['years', 'frequency', 'lastCouponDate'].includes(field) && state.embeddedOption !== 'none') {
+    const next = { ...state, [field]: value };
+    const optionError = errors.years || errors.frequency || !parseDate(next.lastCouponDate)
+      ? null
+      : validateOptionSchedule(next.optionSchedule, optionTerms(next));
+    if (optionError) {
+      errors.optionSchedule = optionError;
+    } else {
+      delete errors.optionSchedule;
+    }
+  }
+  
+  // Settlement must fall before the next coupon date, within one period of the day count
+  if (['lastCouponDate', 'settlementDate', 'frequency', 'dayCount'].includes(field)) {
+    const next = { ...state, [field]: value };
+    const settlementError = errors.frequency
+      ? null
+      : validateSettlement(next.lastCouponDate, next.settlementDate, next.frequency, next.dayCount);
+    if (settlementError) {
+      errors.settlementDate = settlementError;
+    } else {
+      delete errors.settlementDate;
+    }
+    updateFieldError('settlement-date', settlementError);
+  }
+  
+  setState({
+    [field]: value,
+    errors
+  });
+  
+  // Update validation summary
+  updateValidationSummary(errors);
+}
+
+/**
+ * Restore input state from the URL query string
+ * Incoming values go through the same validation as typed input, so a bad
+ * link shows the validation summary rather than breaking the calculator.
+ */
+function restoreStateFromUrl() {
+  const restored = parseStateFromQuery(window.location.search);
+  
+  if (Object.keys(restored).length === 0) return;
+  
+  // Ignore unknown modes rather than reporting them
+  if (restored.viewMode && !VIEWS[restored.viewMode]) {
+    delete restored.viewMode;
+  }
+  sanitizeInputs(restored);
+  
+  const errors = validateAllInputs({ ...state, ...restored });
+  setState({ ...restored, errors });
+  
+  syncInputsFromState(errors);
+  updateValidationSummary(errors);
+}
+
+/**
+ * Drop unknown modes from restored inputs, rather than reporting them, and
+ * make the rest consistent with the bond type and pricing mode
+ * @param {Object} inputs - Restored input values (changed in place)
+ * @returns {Object} The same inputs
+ */
+function sanitizeInputs(inputs) {
+  if (inputs.solveFor && !['price', 'ytm'].includes(inputs.solveFor)) {
+    delete inputs.solveFor;
+  }
+  if (inputs.dayCount && !DAY_COUNT_CONVENTIONS[inputs.dayCount]) {
+    delete inputs.dayCount;
+  }
+  if (inputs.pricingMode && !['ytm', 'spot'].includes(inputs.pricingMode)) {
+    delete inputs.pricingMode;
+  }
+  if (inputs.structure && !BOND_STRUCTURES[inputs.structure]) {
+    delete inputs.structure;
+  }
+  if (inputs.embeddedOption && !EMBEDDED_OPTIONS[inputs.embeddedOption]) {
+    delete inputs.embeddedOption;
+  }
+  
+  if (inputs.referencePath && !['flat', 'custom'].includes(inputs.referencePath)) {
+    delete inputs.referencePath;
+  }
+  
+  // A perpetual bond cannot be priced off a spot curve, and a floating-rate
+  // note is always priced from its discount margin
+  if (inputs.structure === 'perpetual') {
+    inputs.pricingMode = 'ytm';
+  }
+  if (inputs.structure === 'frn') {
+    inputs.pricingMode = 'ytm';
+    inputs.solveFor = 'price';
+  }
+  
+  // A spot curve sets the price, so the price is always the solved field
+  if (inputs.pricingMode === 'spot') {
+    inputs.solveFor = 'price';
+  }
+  
+  return inputs;
+}
+
+/**
+ * Show state values and errors in the input fields
+ * @param {Object} errors - Errors object
+ */
+function syncInputsFromState(errors) {
+  INPUT_FIELDS.forEach(({ id, field, text, decimals = 4 }) => {
+    const input = $(`#${id}`);
+    const value = state[field];
+    if (input && text && typeof value === 'string') {
+      input.value = value;
+    } else if (input && !text && Number.isFinite(value)) {
+      // Round away floating-point noise from solved or implied values
+      input.value = Number(value.toFixed(decimals));
+    }
+    updateFieldError(id, errors[field] || null);
+  });
+  
+  const spotInput = $('#spot-rates');
+  if (spotInput) {
+    spotInput.value = formatRateList(state.spotRates);
+  }
+  
+  const sinkingInput = $('#sinking-fund');
+  if (sinkingInput) {
+    sinkingInput.value = formatRateList(state.sinkingFund);
+  }
+  
+  const referenceInput = $('#reference-rates');
+  if (referenceInput) {
+    referenceInput.value = formatRateList(state.referenceRates);
+  }
+  
+  applyStructure(state.structure);
+  applyEmbeddedOption(state.embeddedOption);
+}
+
+/**
+ * Check whether the yield is implied by a price set some other way
+ * @param {Object} currentState - Current state
+ * @returns {boolean} True when pricing off a spot curve or pricing a floating-rate note
+ */
+function isImpliedYield({ pricingMode, structure }) {
+  return pricingMode === 'spot' || structure === 'frn';
+}
+
+// Yield entered before it became implied, restored when it is entered again
+let enteredYield = null;
+
+/**
+ * Keep the entered yield across a switch into and out of an implied yield
+ * Switching to a spot curve or a floating-rate note remembers the yield typed
+ * in; switching back restores it rather than the implied yield left in its place.
+ * @param {Object} next - State after the switch
+ * @returns {Object} State update for the yield (empty if it is unchanged)
+ */
+function carryEnteredYield(next) {
+  const wasImplied = isImpliedYield(state);
+  const implied = isImpliedYield(next);
+  
+  if (!wasImplied && implied) {
+    enteredYield = state.ytm;
+    return {};
+  }
+  if (wasImplied && !implied && Number.isFinite(state.ytm)) {
+    // Without a remembered yield, carry the implied yield as shown (4 decimals)
+    const ytm = enteredYield !== null ? enteredYield : Number(state.ytm.toFixed(4));
+    enteredYield = null;
+    return { ytm };
+  }
+  
+  return {};
+}
+
+/**
+ * Check whether a field is calculated rather than entered
+ * @param {string} field - State field
+ * @param {Object} current - State to check (defaults to the current state)
+ * @returns {boolean} True for the solved field, and for an implied YTM
+ */
+function isOutputField(field, current = state) {
+  return field === current.solveFor || (field === 'ytm' && isImpliedYield(current));
+}
+
+/**
+ * Values the bond calculations read: whether the inputs are valid, and every
+ * input except the solved field (the calculations produce it)
+ * @param {Object} current - Current state
+ * @returns {Array} Values compared to decide whether to recalculate
+ */
+function calculationInputs(current) {
+  return [
+    hasErrors(current.errors),
+    ...SCENARIO_INPUT_KEYS.filter(key => !isOutputField(key, current)).map(key => current[key])
+  ];
+}
+
+/**
+ * Calculate the bond from the current inputs
+ * @param {Object} current - Current state
+ * @returns {Object} State updates: the calculations (null while the inputs have
+ *   errors), the solved field and the active scenario's inputs
+ */
+function calculateBond(current) {
+  const { faceValue, solveFor, errors } = current;
+  
+  // Don't calculate if there are validation errors
+  if (hasErrors(errors)) {
+    return { bondCalculations: null };
+  }
+  
+  try {
+    // Calculate bond metrics (solving for YTM when the price is the input)
+    const calculations = calculateFromInputs(current);
+    
+    // Yields to each call or put date, from the same price
+    if (current.embeddedOption !== 'none') {
+      calculations.redemption = calculateRedemptionYields(calculations, current);
+    }
+    
+    // Current, simple and true yield, and equivalent compounding rates
+    calculations.yieldMeasures = calculateYieldMeasures(calculations, current);
+    
+    // The solved field becomes the output (flat price is quoted per 100 of par);
+    // a spot curve or a floating-rate note gives both the price and its implied yield
+    const quote = calculations.flatPrice / faceValue * 100;
+    const solved = isImpliedYield(current)
+      ? { ytm: calculations.ytm, price: quote }
+      : solveFor === 'ytm'
+        ? { ytm: calculations.ytm }
+        : { price: quote };
+    
+    // Keep the active scenario in step with the inputs
+    const scenarios = updateScenario(current.scenarios, current.activeScenarioId, {
+      inputs: pickInputs({ ...current, ...solved })
+    });
+    
+    return { ...solved, bondCalculations: calculations, scenarios };
+    
+  } catch (error) {
+    console.error('Calculation error:', error);
+    return { bondCalculations: null };
+  }
+}
+
+/**
+ * Recalculate the bond from the current state and store the results
+ * The store already recalculates whenever the inputs change; this forces it.
+ */
+function updateCalculations() {
+  setState(calculateBond(state));
+}
+
+// =============================================================================
+// SCENARIOS
+// =============================================================================
+
+/**
+ * Set up the bond scenario controls
+ */
+function setupScenarioControls() {
+  // Start with the current inputs as the first bond
+  if (state.scenarios.length === 0) {
+    const first = createScenario([], nextScenarioName([]), state);
+    setState({ scenarios: [first], activeScenarioId: first.id });
+  }
+  
+  const select = $('#scenario-select');
+  const nameInput = $('#scenario-name');
+  const overlay = $('#overlay-scenarios');
+  
+  listen(select, 'change', () => loadScenario(Number(select.value)));
+  listen(nameInput, 'input', () => renameActiveScenario(nameInput.value));
+  listen($('#scenario-add-btn'), 'click', () => {
+    addScenario(DEFAULT_INPUTS, nextScenarioName(state.scenarios));
+  });
+  listen($('#scenario-duplicate-btn'), 'click', () => {
+    const active = findScenario(state.scenarios, state.activeScenarioId);
+    addScenario(state, `${active.name} (copy)`);
+  });
+  listen($('#scenario-remove-btn'), 'click', removeActiveScenario);
+  listen(overlay, 'change', () => setState({ overlayScenarios: overlay.checked }));
+  
+  renderScenarioControls();
+}
+
+/**
+ * Update the scenario selector, name field and buttons from state
+ */
+function renderScenarioControls() {
+  const { scenarios, activeScenarioId, overlayScenarios } = state;
+  const select = $('#scenario-select');
+  const nameInput = $('#scenario-name');
+  const removeBtn = $('#scenario-remove-btn');
+  const overlay = $('#overlay-scenarios');
+  
+  if (select) {
+    select.innerHTML = '';
+    scenarios.forEach(scenario => {
+      select.appendChild(createElement('option', {
+        value: String(scenario.id),
+        selected: scenario.id === activeScenarioId
+      }, scenario.name));
+    });
+  }
+  
+  // Don't overwrite the name while it is being typed
+  const active = findScenario(scenarios, activeScenarioId);
+  if (nameInput && active && document.activeElement !== nameInput) {
+    nameInput.value = active.name;
+  }
+  
+  // A bond saved without a name is saved under the scenario's name
+  const savedName = $('#saved-name');
+  if (savedName && active) {
+    savedName.placeholder = active.name;
+  }
+  
+  // Comparing needs at least two bonds
+  if (removeBtn) {
+    removeBtn.disabled = scenarios.length <= 1;
+  }
+  if (overlay) {
+    overlay.disabled = scenarios.length <= 1;
+    overlay.checked = overlayScenarios;
+  }
+}
+
+/**
+ * Add a scenario and make it the active one
+ * @param {Object} inputs - Input values for the new bond
+ * @param {string} name - Name for the new bond
+ */
+function addScenario(inputs, name) {
+  const scenario = createScenario(state.scenarios, name, inputs);
+  
+  setState({ scenarios: [...state.scenarios, scenario] });
+  loadScenario(scenario.id);
+  
+  announceToScreenReader(`${scenario.name} added`);
+}
+
+/**
+ * Make a scenario active and load its inputs
+ * @param {number} id - Scenario id
+ */
+function loadScenario(id) {
+  const scenario = findScenario(state.scenarios, id);
+  if (!scenario) return;
+  
+  applyInputs(scenario.inputs, { activeScenarioId: id });
+  
+  // Undo steps belong to the bond they were made on
+  resetHistory();
+}
+
+/**
+ * Validate a full set of inputs, show them and recalculate
+ * @param {Object} inputs - Input values (as from pickInputs)
+ * @param {Object} updates - Other state to set with them
+ */
+function applyInputs(inputs, updates = {}) {
+  const errors = validateAllInputs(inputs);
+  
+  // The inputs carry their own yield
+  enteredYield = null;
+  
+  // Show the inputs before the recalculated results are rendered, which
+  // write the solved field over its raw value
+  batch(() => {
+    setState({ ...inputs, ...updates, errors });
+    syncInputsFromState(errors);
+    applyPricingMode(state.pricingMode);
+  });
+  updateValidationSummary(errors);
+  renderScenarioControls();
+}
+
+/**
+ * Remove the active scenario (the last remaining bond cannot be removed)
+ */
+function removeActiveScenario() {
+  const { scenarios, activeScenarioId } = state;
+  if (scenarios.length <= 1) return;
+  
+  const index = scenarios.findIndex(scenario => scenario.id === activeScenarioId);
+  const removed = scenarios[index];
+  const remaining = scenarios.filter(scenario => scenario.id !== activeScenarioId);
+  
+  setState({ scenarios: remaining });
+  loadScenario(remaining[Math.min(index, remaining.length - 1)].id);
+  
+  announceToScreenReader(`${removed.name} removed`);
+}
+
+/**
+ * Rename the active scenario
+ * @param {string} name - New name (blank names are ignored)
+ */
+function renameActiveScenario(name) {
+  const trimmed = name.trim();
+  if (!trimmed) return;
+  
+  setState({
+    scenarios: updateScenario(state.scenarios, state.activeScenarioId, { name: trimmed })
+  });
+  renderScenarioControls();
+}
+
+/**
+ * Calculate every scenario for the comparison table and overlay chart
+ * @param {Object} currentState - Current state
+ * @returns {Array} Scenarios with calculations, or empty when there is only one
+ */
+function buildComparison(currentState) {
+  const { scenarios, activeScenarioId, bondCalculations } = currentState;
+  
+  if (scenarios.length < 2) {
+    return [];
+  }
+  
+  return scenarios.map(scenario => {
+    const active = scenario.id === activeScenarioId;
+    const inputs = active ? pickInputs(currentState) : scenario.inputs;
+    let calculations = active ? bondCalculations : null;
+    
+    if (!active && !hasErrors(validateAllInputs(inputs))) {
+      try {
+        calculations = calculateFromInputs(inputs);
+      } catch (error) {
+        console.error(`Calculation error in ${scenario.name}:`, error);
+      }
+    }
+    
+    return { name: scenario.name, active, inputs, calculations };
+  });
+}
+
+/**
+ * Show either the cash flow legend or the scenario overlay legend
+ * @param {Array|null} series - Overlaid scenarios, or null for a single bond
+ */
+function renderScenarioLegend(series) {
+  const chartLegend = $('#chart-legend');
+  const scenarioLegend = $('#scenario-legend');
+  const valuesSelect = $('#chart-values');
+  
+  if (!chartLegend || !scenarioLegend) return;
+  
+  chartLegend.hidden = Boolean(series);
+  scenarioLegend.hidden = !series;
+  if (valuesSelect) {
+    valuesSelect.disabled = Boolean(series);
+  }
+  
+  scenarioLegend.innerHTML = '';
+  (series || []).forEach(({ name }, index) => {
+    scenarioLegend.appendChild(createElement('span', { className: 'legend-item' },
+      createElement('span', {
+        className: 'legend-color',
+        style: { backgroundColor: scenarioColor(index), border: '1px solid #333' }
+      }),
+      name
+    ));
+  });
+}
+
+// =============================================================================
+// SAVED BONDS AND PREFERENCES (LOCAL STORAGE)
+// =============================================================================
+
+/**
+ * Preferences remembered across sessions, with a check that a stored value is
+ * still valid
+ */
+const PREFERENCES = {
+  viewMode: value => Boolean(VIEWS[value]),
+  chartValues: value => ['nominal', 'pv', 'both'].includes(value),
+  showLabels: value => typeof value === 'boolean'
+};
+
+// Stored data this version could not read and could not back up, left in
+// place until a bond is saved
+let storedDataUnread = false;
+
+/**
+ * Restore saved bonds and preferences stored in this browser
+ */
+function restoreStoredData() {
+  const { preferences, savedBonds, unread = false, backedUp = false } = loadStoredData();
+  
+  storedDataUnread = unread && !backedUp;
+  if (unread) {
+    setText($('#saved-bonds-status'), backedUp
+      ? 'Saved bonds and preferences in this browser could not be read. A copy has been set aside, ' +
+        'and new ones are saved in their place.'
+      : 'Saved bonds and preferences in this browser could not be read. They are kept until you save ' +
+        'a bond, which replaces them; until then preferences are not remembered.');
+  }
+  
+  // Skip preferences that are no longer valid rather than reporting them
+  const restored = {};
+  Object.entries(PREFERENCES).forEach(([key, isValid]) => {
+    if (key in preferences && isValid(preferences[key])) {
+      restored[key] = preferences[key];
+    }
+  });
+  
+  setState({ ...restored, savedBonds });
+}
+
+/**
+ * Set up the saved bond form and list, and keep the browser's copy current
+ */
+function setupSavedBonds() {
+  const form = $('#save-bond-form');
+  const nameInput = $('#saved-name');
+  if (!form || !nameInput) return;
+  
+  listen(form, 'submit', (e) => {
+    e.preventDefault();
+    saveCurrentBond(nameInput.value.trim() || nameInput.placeholder);
+    nameInput.value = '';
+  });
+  
+  subscribe(renderSavedBonds, ['savedBonds']);
+  subscribe(writeStoredData, ['savedBonds', ...Object.keys(PREFERENCES)]);
+  
+  renderSavedBonds(state);
+}
+
+/**
+ * Write saved bonds and preferences to the browser, reporting if it refuses
+ * (storage can be full or disabled)
+ * Stored data that could not be read or backed up is only replaced when the
+ * saved bonds change.
+ * @param {Object} currentState - Current state
+ * @param {Set<string>} changed - Keys that changed
+ */
+function writeStoredData(currentState, changed) {
+  if (storedDataUnread && !changed.has('savedBonds')) return;
+  storedDataUnread = false;
+  
+  const preferences = {};
+  Object.keys(PREFERENCES).forEach(key => {
+    preferences[key] = currentState[key];
+  });
+  
+  const saved = saveStoredData({ preferences, savedBonds: currentState.savedBonds });
+  setText($('#saved-bonds-status'), saved
+    ? ''
+    : 'This browser is not storing data, so saved bonds and preferences will be lost when the page closes.');
+}
+
+/**
+ * Save the current inputs under a name, replacing a bond saved under it
+ * @param {string} name - Name to save under
+ */
+function saveCurrentBond(name) {
+  if (!name) return;
+  
+  const replaced = state.savedBonds.some(bond => bond.name.toLowerCase() === name.toLowerCase());
+  setState({
+    savedBonds: saveBond(state.savedBonds, name, pickInputs(state), new Date().toISOString())
+  });
+  
+  announceToScreenReader(`${name} ${replaced ? 'updated' : 'saved'}`);
+}
+
+/**
+ * Load a saved bond's inputs into the active bond (undo restores the inputs
+ * it replaced)
+ * @param {Object} bond - Saved bond
+ */
+function loadSavedBond(bond) {
+  // Inputs added since the bond was saved take their defaults
+  const inputs = pickInputs({ ...DEFAULT_INPUTS, ...sanitizeInputs({ ...bond.inputs }) });
+  applyInputs(inputs);
+  
+  announceToScreenReader(`${bond.name} loaded`);
+}
+
+/**
+ * Delete a saved bond
+ * @param {Object} bond - Saved bond
+ */
+function deleteSavedBond(bond) {
+  setState({ savedBonds: deleteBond(state.savedBonds, bond.name) });
+  focusElement('#saved-name');
+  announceToScreenReader(`${bond.name} deleted`);
+}
+
+/**
+ * Render one row per saved bond, with load and delete buttons
+ * @param {Object} currentState - Current state
+ */
+function renderSavedBonds({ savedBonds }) {
+  const list = $('#saved-list');
+  if (!list) return;
+  
+  list.innerHTML = '';
+  if (savedBonds.length === 0) {
+    list.appendChild(createElement('li', { className: 'option-row' }, 'No bonds saved in this browser yet.'));
+    return;
+  }
+  
+  savedBonds.forEach(bond => {
+    const loadButton = createElement('button', {
+      type: 'button',
+      className: 'toggle-btn',
+      'aria-label': `Load ${bond.name}`
+    }, 'Load');
+    const deleteButton = createElement('button', {
+      type: 'button',
+      className: 'toggle-btn',
+      'aria-label': `Delete ${bond.name}`
+    }, 'Delete');
+    
+    listen(loadButton, 'click', () => loadSavedBond(bond));
+    listen(deleteButton, 'click', () => deleteSavedBond(bond));
+    
+    const type = BOND_STRUCTURES[bond.inputs.structure] || BOND_STRUCTURES.coupon;
+    list.appendChild(createElement('li', { className: 'option-row' },
+      createElement('span', {}, `${bond.name} (${type}, saved ${bond.savedAt.slice(0, 10)})`),
+      loadButton,
+      deleteButton
+    ));
+  });
+}
+
+// =============================================================================
+// UNDO/REDO (INPUT HISTORY)
+// =============================================================================
+
+// Quiet time (ms) after which a run of changes, such as typing or dragging a
+// slider, is recorded as one step
+const HISTORY_DELAY = 500;
+
+// Snapshots of the active bond's inputs; derived values are never recorded
+let inputHistory = createHistory(pickInputs(state));
+
+/**
+ * Set up the undo and redo buttons, their keyboard shortcuts and recording
+ */
+function setupHistory() {
+  resetHistory();
+  
+  listen($('#undo-btn'), 'click', () => stepHistory('undo'));
+  listen($('#redo-btn'), 'click', () => stepHistory('redo'));
+  listen(document, 'keydown', handleHistoryShortcut);
+  
+  subscribe(renderHistoryButtons, SCENARIO_INPUT_KEYS);
+  subscribe(debounce(commitHistory, HISTORY_DELAY), SCENARIO_INPUT_KEYS);
+}
+
+/**
+ * Undo with Ctrl+Z and redo with Ctrl+Shift+Z (Cmd on a Mac)
+ * Text boxes keep the browser's own undo for the text being typed.
+ * @param {KeyboardEvent} e - Keydown event
+ */
+function handleHistoryShortcut(e) {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'z') return;
+  
+  const { tagName, type } = e.target;
+  if (tagName === 'TEXTAREA' || (tagName === 'INPUT' && type === 'text')) return;
+  
+  e.preventDefault();
+  stepHistory(e.shiftKey ? 'redo' : 'undo');
+}
+
+/**
+ * Start a new history at the current inputs
+ */
+function resetHistory() {
+  inputHistory = createHistory(pickInputs(state));
+  renderHistoryButtons();
+}
+
+/**
+ * Record the current inputs if they changed since the last snapshot
+ */
+function commitHistory() {
+  const next = recordHistory(inputHistory, pickInputs(state));
+  if (next === inputHistory) return;
+  
+  inputHistory = next;
+  renderHistoryButtons();
+}
+
+/**
+ * Restore the previous or next input snapshot and announce what changed
+ * @param {string} direction - 'undo' or 'redo'
+ */
+function stepHistory(direction) {
+  // Changes still waiting to be recorded are the step to undo
+  commitHistory();
+  
+  const next = direction === 'undo' ? undoHistory(inputHistory) : redoHistory(inputHistory);
+  if (next === inputHistory) {
+    announceToScreenReader(`Nothing to ${direction}`);
+    return;
+  }
+  
+  const changes = describeInputChanges(inputHistory.present, next.present);
+  inputHistory = next;
+  applyInputs(next.present);
+  renderHistoryButtons();
+  
+  announceToScreenReader(`${direction === 'undo' ? 'Undone' : 'Redone'}: ${changes}`);
+}
+
+/**
+ * Enable the undo and redo buttons when there is a step to take
+ * Changes not yet recorded can already be undone, and leave nothing to redo.
+ */
+function renderHistoryButtons() {
+  const undoBtn = $('#undo-btn');
+  const redoBtn = $('#redo-btn');
+  const pending = changedInputs(inputHistory.present, pickInputs(state)).length > 0;
+  
+  if (undoBtn) {
+    undoBtn.disabled = inputHistory.past.length === 0 && !pending;
+  }
+  if (redoBtn) {
+    redoBtn.disabled = inputHistory.future.length === 0 || pending;
+  }
+}
+
+// =============================================================================
+// SOLVE-FOR TOGGLE (PRICE/YTM)
+// =============================================================================
+
+/**
+ * Set up the solve-for radio buttons
+ */
+function setupSolveForToggle() {
+  $$('input[name="solve-for"]').forEach(radio => {
+    listen(radio, 'change', () => {
+      if (radio.checked) {
+        switchSolveFor(radio.value);
+      }
+    });
+  });
+  
+  applySolveForMode(state.solveFor);
+}
+
+/**
+ * Switch which quantity is solved for
+ * @param {string} target - 'price' or 'ytm'
+ */
+function switchSolveFor(target) {
+  // The solved field is now an output, so any error on it no longer applies
+  const errors = { ...state.errors };
+  delete errors[target];
+  updateFieldError(target, null);
+  
+  setState({ solveFor: target, errors });
+  applySolveForMode(target);
+  updateValidationSummary(errors);
+  
+  announceToScreenReader(target === 'ytm'
+    ? 'Solving for yield-to-maturity. Enter a bond price.'
+    : 'Solving for bond price. Enter a yield-to-maturity.');
+}
+
+/**
+ * Make the solved field read-only and the other field editable
+ * When pricing off a spot curve or pricing a floating-rate note both price
+ * and yield are outputs.
+ * @param {string} target - 'price' or 'ytm'
+ */
+function applySolveForMode(target) {
+  const implied = isImpliedYield(state);
+  const fields = { price: $('#price'), ytm: $('#ytm') };
+  
+  Object.entries(fields).forEach(([field, input]) => {
+    if (!input) return;
+    input.readOnly = field === target || (field === 'ytm' && implied);
+  });
+  
+  $$('input[name="solve-for"]').forEach(radio => {
+    radio.checked = radio.value === target;
+    radio.disabled = implied;
+  });
+  
+  syncSliders();
+}
+
+/**
+ * Write the solved values into their read-only inputs
+ * A floating-rate note also shows its current coupon rate.
+ * @param {Object} currentState - Current state
+ */
+function renderSolvedField(currentState) {
+  const { solveFor, ytm, price, bondCalculations } = currentState;
+  
+  if (solveFor === 'ytm' || isImpliedYield(currentState)) {
+    const input = $('#ytm');
+    if (input) input.value = ytm.toFixed(4);
+  }
+  if (solveFor === 'price') {
+    const input = $('#price');
+    if (input) input.value = price.toFixed(2);
+  }
+  if (bondCalculations.floating) {
+    const input = $('#coupon-rate');
+    if (input) input.value = bondCalculations.floating.couponRates[0].toFixed(4);
+  }
+}
+
+// =============================================================================
+// BOND TYPE (COUPON/ZERO-COUPON/PERPETUAL)
+// =============================================================================
+
+/**
+ * Set up the bond type selector and the sinking fund schedule input
+ */
+function setupStructureSelect() {
+  const select = $('#bond-structure');
+  if (!select) return;
+  
+  listen(select, 'change', () => switchStructure(select.value));
+  
+  const sinkingInput = $('#sinking-fund');
+  listen(sinkingInput, 'input', debounce(() => updateSinkingFund(sinkingInput.value), 300));
+  sinkingInput.value = formatRateList(state.sinkingFund);
+  
+  $$('input[name="reference-path"]').forEach(radio => {
+    listen(radio, 'change', () => {
+      if (radio.checked) {
+        switchReferencePath(radio.value);
+      }
+    });
+  });
+  
+  const referenceInput = $('#reference-rates');
+  listen(referenceInput, 'input', debounce(() => updateReferenceRates(referenceInput.value), 300));
+  referenceInput.value = formatRateList(state.referenceRates);
+  
+  applyStructure(state.structure);
+}
+
+/**
+ * Switch between coupon, zero-coupon and perpetual bonds
+ * @param {string} structure - Key of BOND_STRUCTURES
+ */
+function switchStructure(structure) {
+  // A perpetual bond has no final spot rate to discount at; a floating-rate
+  // note is priced from its reference rates and discount margin
+  const pricingMode = ['perpetual', 'frn'].includes(structure) ? 'ytm' : state.pricingMode;
+  const solveFor = structure === 'frn' ? 'price' : state.solveFor;
+  const carried = carryEnteredYield({ structure, pricingMode });
+  const errors = validateAllInputs({ ...state, structure, pricingMode, solveFor, ...carried });
+  
+  batch(() => {
+    setState({ structure, pricingMode, solveFor, ...carried, errors });
+    syncInputsFromState(errors);
+    applyPricingMode(pricingMode);
+  });
+  updateValidationSummary(errors);
+  
+  announceToScreenReader({
+    coupon: 'Coupon bond.',
+    zero: 'Zero-coupon bond. The coupon rate is fixed at 0%.',
+    perpetual: 'Perpetual bond. Coupons are paid forever, so years-to-maturity does not apply.',
+    level: 'Level-payment amortizing bond. Each payment repays interest and part of the principal.',
+    straight: 'Straight-line amortizing bond. An equal share of principal is repaid each period.',
+    sinking: 'Sinking fund bond. Enter the percentage of face value retired each period.',
+    frn: 'Floating-rate note. Enter the reference rate, quoted margin and discount margin; ' +
+      'the price and yield are calculated.'
+  }[structure]);
+}
+
+/**
+ * Lock the inputs that a bond type does not use
+ * A zero-coupon bond shows its coupon rate as 0%; a perpetual bond has no
+ * maturity and cannot be priced off a spot curve; a floating-rate note sets
+ * its coupon from the reference rate and is not priced off a spot curve.
+ * @param {string} structure - Key of BOND_STRUCTURES
+ */
+function applyStructure(structure) {
+  const select = $('#bond-structure');
+  if (select) select.value = structure;
+  
+  const couponInput = $('#coupon-rate');
+  if (couponInput) {
+    couponInput.disabled = structure === 'zero' || structure === 'frn';
+    if (structure === 'zero') {
+      couponInput.value = 0;
+    } else if (Number.isFinite(state.couponRate)) {
+      couponInput.value = state.couponRate;
+    }
+  }
+  
+  const yearsInput = $('#years');
+  if (yearsInput) yearsInput.disabled = structure === 'perpetual';
+  
+  const sinkingGroup = $('#sinking-fund-group');
+  if (sinkingGroup) sinkingGroup.hidden = structure !== 'sinking';
+  
+  const floatingGroup = $('#frn-group');
+  if (floatingGroup) floatingGroup.hidden = structure !== 'frn';
+  applyReferencePath(state.referencePath);
+  
+  $$('input[name="pricing-mode"]').forEach(radio => {
+    radio.disabled = radio.value === 'spot' && ['perpetual', 'frn'].includes(structure);
+  });
+  
+  syncSliders();
+}
+
+/**
+ * Switch a floating-rate note between a flat reference rate and one per period
+ * @param {string} path - 'flat' or 'custom'
+ */
+function switchReferencePath(path) {
+  const errors = validateAllInputs({ ...state, referencePath: path });
+  
+  setState({ referencePath: path, errors });
+  applyReferencePath(path);
+  updateValidationSummary(errors);
+  
+  announceToScreenReader(path === 'custom'
+    ? 'Enter one reference rate per period.'
+    : 'Flat reference rate for every period.');
+}
+
+/**
+ * Show the flat reference rate or the per-period reference rates
+ * @param {string} path - 'flat' or 'custom'
+ */
+function applyReferencePath(path) {
+  $$('input[name="reference-path"]').forEach(radio => {
+    radio.checked = radio.value === path;
+  });
+  
+  const custom = path === 'custom';
+  const flatInput = $('#reference-rate');
+  if (flatInput) flatInput.disabled = custom;
+  ['#reference-rates-label', '#reference-rates'].forEach(selector => {
+    const element = $(selector);
+    if (element) element.hidden = !custom;
+  });
+  
+  syncSliders();
+}
+
+/**
+ * Validate and store reference rates typed or pasted as text
+ * @param {string} text - Annual reference rates in percent, one per period
+ */
+function updateReferenceRates(text) {
+  const referenceRates = parseRateList(text);
+  const errors = { ...state.errors };
+  
+  const referenceError = errors.years || errors.frequency
+    ? null
+    : validateReferenceRates(referenceRates, state.years * state.frequency);
+  if (referenceError) {
+    errors.referenceRates = referenceError;
+  } else {
+    delete errors.referenceRates;
+  }
+  
+  setState({ referenceRates, errors });
+  updateValidationSummary(errors);
+}
+
+/**
+ * Validate and store a sinking fund schedule typed or pasted as text
+ * @param {string} text - Percentages of face value, one per period
+ */
+function updateSinkingFund(text) {
+  const sinkingFund = parseRateList(text);
+  const errors = { ...state.errors };
+  
+  const sinkingError = errors.years || errors.frequency
+    ? null
+    : validateSinkingFund(sinkingFund, state.years * state.frequency);
+  if (sinkingError) {
+    errors.sinkingFund = sinkingError;
+  } else {
+    delete errors.sinkingFund;
+  }
+  
+  setState({ sinkingFund, errors });
+  updateValidationSummary(errors);
+}
+
+// =============================================================================
+// EMBEDDED OPTION (CALL/PUT SCHEDULE)
+// =============================================================================
+
+/**
+ * Set up the embedded option radios and the add-date button
+ */
+function setupEmbeddedOption() {
+  $$('input[name="embedded-option"]').forEach(radio => {
+    listen(radio, 'change', () => {
+      if (radio.checked) {
+        switchEmbeddedOption(radio.value);
+      }
+    });
+  });
+  
+  listen($('#option-add-btn'), 'click', addOptionDate);
+  
+  applyEmbeddedOption(state.embeddedOption);
+}
+
+/**
+ * Bond terms an exercise schedule is checked against
+ * @param {Object} inputs - Bond inputs
+ * @returns {Object} Option, last coupon date, frequency and periods to maturity
+ */
+function optionTerms(inputs) {
+  return {
+    option: inputs.embeddedOption,
+    lastCouponDate: inputs.lastCouponDate,
+    frequency: inputs.frequency,
+    periods: inputs.structure === 'perpetual' ? Infinity : inputs.years * inputs.frequency
+  };
+}
+
+/**
+ * Switch between an option-free, callable and putable bond
+ * @param {string} option - Key of EMBEDDED_OPTIONS
+ */
+function switchEmbeddedOption(option) {
+  const errors = validateAllInputs({ ...state, embeddedOption: option });
+  
+  setState({ embeddedOption: option, errors });
+  applyEmbeddedOption(option);
+  updateValidationSummary(errors);
+  
+  announceToScreenReader({
+    none: 'No embedded option. The bond is held to maturity.',
+    call: 'Callable bond. Enter the dates and prices at which the issuer can redeem it.',
+    put: 'Putable bond. Enter the dates and prices at which the holder can sell it back.'
+  }[option]);
+}
+
+/**
+ * Show the exercise schedule for a callable or putable bond
+ * @param {string} option - Key of EMBEDDED_OPTIONS
+ */
+function applyEmbeddedOption(option) {
+  $$('input[name="embedded-option"]').forEach(radio => {
+    radio.checked = radio.value === option;
+  });
+  
+  const group = $('#option-schedule-group');
+  if (group) group.hidden = option === 'none';
+  
+  $$('.option-text').forEach(element => {
+    setText(element, option === 'put' ? 'Put' : 'Call');
+  });
+  const addText = $('#option-add-btn .option-text');
+  if (addText) setText(addText, option === 'put' ? 'put' : 'call');
+  
+  renderOptionSchedule();
+}
+
+/**
+ * Render one row of date and price inputs per exercise date
+ */
+function renderOptionSchedule() {
+  const list = $('#option-schedule');
+  if (!list) return;
+  
+  const label = state.embeddedOption === 'put' ? 'Put' : 'Call';
+  const readSchedule = debounce(() => {
+    updateOptionSchedule(Array.from(list.children).map(row => ({
+      date: row.querySelector('.date-input').value,
+      price: parseFloat(row.querySelector('.input-field-inline').value)
+    })));
+  }, 300);
+  
+  list.innerHTML = '';
+  state.optionSchedule.forEach(({ date, price }, index) => {
+    const n = index + 1;
+    const dateInput = createElement('input', {
+      type: 'date',
+      id: `option-date-${n}`,
+      className: 'date-input',
+      value: date
+    });
+    const priceInput = createElement('input', {
+      type: 'number',
+      id: `option-price-${n}`,
+      className: 'input-field-inline',
+      min: '50',
+      max: '150',
+      step: '0.25',
+      value: Number.isFinite(price) ? String(price) : ''
+    });
+    const removeButton = createElement('button', {
+      type: 'button',
+      className: 'toggle-btn',
+      'aria-label': `Remove ${label.toLowerCase()} date ${n}`
+    }, 'Remove');
+    
+    listen(dateInput, 'input', readSchedule);
+    listen(priceInput, 'input', readSchedule);
+    listen(removeButton, 'click', () => removeOptionDate(index));
+    
+    list.appendChild(createElement('li', { className: 'option-row' },
+      createElement('label', { htmlFor: `option-date-${n}`, className: 'sr-only' }, `${label} date ${n}`),
+      dateInput,
+      createElement('label', { htmlFor: `option-price-${n}` }, 'at'),
+      priceInput,
+      removeButton
+    ));
+  });
+}
+
+/**
+ * Add an exercise date one coupon period after the last one, at par
+ */
+function addOptionDate() {
+  const { optionSchedule, lastCouponDate, frequency } = state;
+  const previous = parseDate(optionSchedule.length
+    ? optionSchedule[optionSchedule.length - 1].date
+    : lastCouponDate);
+  if (!previous || !Number.isFinite(frequency)) return;
+  
+  updateOptionSchedule([
+    ...optionSchedule,
+    { date: formatDate(addMonths(previous, 12 / frequency)), price: 100 }
+  ]);
+  renderOptionSchedule();
+  focusElement(`#option-date-${state.optionSchedule.length}`);
+}
+
+/**
+ * Remove an exercise date
+ * @param {number} index - Position in the schedule
+ */
+function removeOptionDate(index) {
+  updateOptionSchedule(state.optionSchedule.filter((entry, i) => i !== index));
+  renderOptionSchedule();
+  focusElement('#option-add-btn');
+  announceToScreenReader(`Date ${index + 1} removed`);
+}
+
+/**
+ * Validate and store an exercise schedule
+ * @param {Array<Object>} optionSchedule - Exercise dates and prices ({ date, price })
+ */
+function updateOptionSchedule(optionSchedule) {
+  const errors = { ...state.errors };
+  
+  const optionError = errors.years || errors.frequency || !parseDate(state.lastCouponDate)
+    ? null
+    : validateOptionSchedule(optionSchedule, optionTerms(state));
+  if (optionError) {
+    errors.optionSchedule = optionError;
+  } else {
+    delete errors.optionSchedule;
+  }
+  
+  setState({ optionSchedule, errors });
+  updateValidationSummary(errors);
+}
+
+// =============================================================================
+// PRICING MODE (SINGLE YIELD/SPOT CURVE)
+// =============================================================================
+
+/**
+ * Set up the pricing mode radios and the spot rate curve input
+ */
+function setupPricingModeToggle() {
+  $$('input[name="pricing-mode"]').forEach(radio => {
+    listen(radio, 'change', () => {
+      if (radio.checked) {
+        switchPricingMode(radio.value);
+      }
+    });
+  });
+  
+  const spotInput = $('#spot-rates');
+  listen(spotInput, 'input', debounce(() => updateSpotRates(spotInput.value), 300));
+  listen($('#spot-flat-btn'), 'click', fillFlatSpotCurve);
+  
+  spotInput.value = formatRateList(state.spotRates);
+  applyPricingMode(state.pricingMode);
+}
+
+/**
+ * Switch between discounting at one yield and at a spot rate per period
+ * @param {string} mode - 'ytm' or 'spot'
+ */
+function switchPricingMode(mode) {
+  // A spot curve sets the price, so the price is the solved field
+  const solveFor = mode === 'spot' ? 'price' : state.solveFor;
+  const carried = carryEnteredYield({ structure: state.structure, pricingMode: mode });
+  const errors = validateAllInputs({ ...state, pricingMode: mode, solveFor, ...carried });
+  
+  batch(() => {
+    setState({ pricingMode: mode, solveFor, ...carried, errors });
+    syncInputsFromState(errors);
+    applyPricingMode(mode);
+  });
+  updateValidationSummary(errors);
+  
+  announceToScreenReader(mode === 'spot'
+    ? 'Pricing off the spot rate curve. The yield-to-maturity is now implied by the price.'
+    : 'Pricing at a single yield-to-maturity.');
+}
+
+/**
+ * Show the spot curve input and lock the yield when pricing off the curve
+ * @param {string} mode - 'ytm' or 'spot'
+ */
+function applyPricingMode(mode) {
+  $$('input[name="pricing-mode"]').forEach(radio => {
+    radio.checked = radio.value === mode;
+  });
+  
+  const group = $('#spot-rates-group');
+  if (group) group.hidden = mode !== 'spot';
+  
+  applySolveForMode(state.solveFor);
+}
+
+/**
+ * Validate and store spot rates typed or pasted as text
+ * @param {string} text - Rates in percent
+ */
+function updateSpotRates(text) {
+  const spotRates = parseRateList(text);
+  const errors = { ...state.errors };
+  
+  const spotError = errors.years || errors.frequency
+    ? null
+    : validateSpotRates(spotRates, state.years * state.frequency);
+  if (spotError) {
+    errors.spotRates = spotError;
+  } else {
+    delete errors.spotRates;
+  }
+  updateFieldError('spot-rates', spotError);
+  
+  setState({ spotRates, errors });
+  updateValidationSummary(errors);
+}
+
+/**
+ * Fill the spot curve with the current yield for every period
+ * A flat curve reproduces the single-yield price.
+ */
+function fillFlatSpotCurve() {
+  const { ytm, years, frequency } = state;
+  const periods = years * frequency;
+  
+  if (!Number.isFinite(ytm) || !Number.isInteger(periods) || periods < 1) return;
+  
+  const spotInput = $('#spot-rates');
+  spotInput.value = formatRateList(new Array(periods).fill(ytm));
+  updateSpotRates(spotInput.value);
+  
+  announceToScreenReader(`Spot curve set flat at ${ytm.toFixed(2)}% for ${periods} periods`);
+}
+
+/**
+ * Update headings and descriptions that name the payment frequency
+ * @param {number} frequency - Payment frequency per year
+ */
+function renderFrequencyText(frequency) {
+  const label = frequencyLabel(frequency);
+  
+  setText($('#frequency-title'), label.charAt(0).toUpperCase() + label.slice(1));
+  $$('.frequency-text').forEach(element => setText(element, label));
+}
+
+// =============================================================================
+// VIEW TOGGLE (CHART/TABLE/PRICE–YIELD)
+// =============================================================================
+
+/**
+ * Elements belonging to each view, keyed by view mode, and the state besides
+ * the bond calculations each view renders
+ */
+const VIEWS = {
+  chart: {
+    button: '#chart-view-btn',
+    container: '#chart-container',
+    controls: ['#chart-legends', '#chart-options'],
+    focus: '#chart-container',
+    announcement: 'Chart view active',
+    renders: ['comparison', 'chartValues', 'showLabels', 'overlayScenarios']
+  },
+  table: {
+    button: '#table-view-btn',
+    container: '#table-container',
+    controls: [],
+    focus: '#cash-flow-table',
+    announcement: 'Table view active',
+    renders: []
+  },
+  curve: {
+    button: '#curve-view-btn',
+    container: '#curve-view',
+    controls: ['#curve-legend'],
+    focus: '#curve-container',
+    announcement: 'Price–yield curve view active',
+    renders: []
+  },
+  path: {
+    button: '#path-view-btn',
+    container: '#path-container',
+    controls: ['#path-legend'],
+    focus: '#price-path-chart-wrapper',
+    announcement: 'Pull to par view active',
+    renders: []
+  },
+  term: {
+    button: '#term-view-btn',
+    container: '#term-container',
+    controls: ['#term-legend'],
+    focus: '#term-chart-wrapper',
+    announcement: 'Yield curve view active',
+    renders: ['parYields']
+  },
+  horizon: {
+    button: '#horizon-view-btn',
+    container: '#horizon-container',
+    controls: ['#horizon-legend'],
+    focus: '#horizon-chart-wrapper',
+    announcement: 'Horizon return view active',
+    renders: ['horizonYears', 'reinvestmentRate', 'saleYield']
+  }
+};
+
+// State keys that can change what the active view shows
+const ACTIVE_VIEW_KEYS = [
+  'bondCalculations',
+  'viewMode',
+  ...new Set(Object.values(VIEWS).flatMap(view => view.renders))
+];
+
+/**
+ * Set up chart/table/price–yield view toggle
+ */
+function setupViewToggle() {
+  Object.entries(VIEWS).forEach(([view, { button }]) => {
+    const btn = $(button);
+    
+    if (!btn) {
+      console.error(`Toggle button ${button} not found`);
+      return;
+    }
+    
+    listen(btn, 'click', () => switchView(view));
+  });
+}
+
+/**
+ * Switch between chart, table and price–yield views
+ * @param {string} view - 'chart', 'table' or 'curve'
+ */
+function switchView(view) {
+  // Update state
+  setState({ viewMode: view });
+  
+  applyView(view);
+  
+  // Announce change
+  announceToScreenReader(VIEWS[view].announcement);
+  
+  // Focus the active view
+  focusElement($(VIEWS[view].focus), 100);
+}
+
+/**
+ * Show the elements of a view and hide the others
+ * @param {string} view - 'chart', 'table' or 'curve'
+ */
+function applyView(view) {
+  Object.entries(VIEWS).forEach(([name, config]) => {
+    const active = name === view;
+    const btn = $(config.button);
+    const container = $(config.container);
+    
+    // Update button states
+    if (btn) {
+      btn.classList.toggle('active', active);
+      btn.setAttribute('aria-pressed', String(active));
+    }
+    
+    // Show the active view, hide the others
+    if (container) {
+      container.style.display = active ? 'block' : 'none';
+    }
+    config.controls.forEach(selector => {
+      const control = $(selector);
+      if (control) {
+        control.style.display = active ? 'flex' : 'none';
+      }
+    });
+  });
+}
+
+/**
+ * Set up the selector for nominal or present value bars, and the value
+ * labels checkbox
+ */
+function setupChartValuesSelect() {
+  const select = $('#chart-values');
+  if (!select) return;
+  
+  select.value = state.chartValues;
+  updateChartLegend(state.chartValues);
+  
+  listen(select, 'change', () => {
+    updateChartLegend(select.value);
+    setState({ chartValues: select.value });
+  });
+  
+  const labels = $('#show-labels');
+  if (labels) {
+    labels.checked = state.showLabels;
+    listen(labels, 'change', () => setState({ showLabels: labels.checked }));
+  }
+}
+
+/**
+ * Show the legend items for the bars on the chart
+ * @param {string} values - 'nominal', 'pv' or 'both'
+ */
+function updateChartLegend(values) {
+  $$('#chart-legend [data-values]').forEach(item => {
+    const kind = item.getAttribute('data-values');
+    item.hidden = !(values === 'both' || values === kind);
+  });
+}
 
 // =============================================================================
-// INITIALIZATION
+// YIELD CURVES (PAR, SPOT, FORWARD)
 // =============================================================================
 
 /**
- * Initialize the calculator when DOM is ready
+ * Set up the par yield input and the button that prices off the bootstrapped curve
  */
-function init() {
-  console.log('Bond Calculator initializing...');
+function setupTermStructure() {
+  const input = $('#par-yields');
+  if (!input) return;
   
-  // Set up input event listeners
-  setupInputListeners();
+  input.value = formatRateList(state.parYields);
   
-  // Set up view toggle listeners
-  setupViewToggle();
+  listen(input, 'input', debounce(() => {
+    setState({ parYields: parseRateList(input.value) });
+  }, 300));
   
-  // Set up skip link handlers
-  setupSkipLinks();  // ← Add this line
+  listen($('#use-spot-curve-btn'), 'click', useBootstrappedSpotCurve);
+}
+
+/**
+ * Bootstrap the par yields covering the bond's maturity
+ * @param {Object} currentState - Current state
+ * @returns {Object} Term structure rows, or an error message
+ */
+function buildTermStructure({ parYields, years, frequency }) {
+  const periods = years * frequency;
+  const error = validateParYields(parYields, periods);
+  if (error) {
+    return { rows: null, error };
+  }
   
-  // Set up window resize listener for chart labels
-  setupResizeListener();
+  const rows = bootstrapTermStructure(parYields.slice(0, periods), frequency);
+  if (rows.some(row => !(row.discountFactor > 0))) {
+    return { rows: null, error: 'These par yields cannot be bootstrapped: a discount factor is not positive' };
+  }
   
-  // Subscribe to state changes
-  subscribe(handleStateChange);
+  return { rows, error: null };
+}
+
+/**
+ * Render the yield curve chart and table, or the par yield error
+ * @param {Object} currentState - Current state
+ */
+function renderTermStructure(currentState) {
+  const { rows, error } = buildTermStructure(currentState);
   
-  // Initial calculation
-  updateCalculations();
+  setText($('#par-yields-error'), error || '');
+  $('#par-yields').setAttribute('aria-invalid', String(Boolean(error)));
+  $('#use-spot-curve-btn').disabled = Boolean(error) || ['perpetual', 'frn'].includes(currentState.structure);
   
-  // Run self-tests
-  runSelfTests();
+  if (rows) {
+    renderTermStructureChart(rows);
+    renderTermStructureTable(rows);
+  }
+}
+
+/**
+ * Price the bond off the spot rates bootstrapped from the par yields
+ */
+function useBootstrappedSpotCurve() {
+  const { rows } = buildTermStructure(state);
+  if (!rows) return;
   
-  console.log('Bond Calculator ready');
+  // Same precision as shown in the spot rate input
+  const spotRates = rows.map(row => Number(row.spotRate.toFixed(4)));
+  $('#spot-rates').value = formatRateList(spotRates);
+  batch(() => {
+    setState({ spotRates });
+    switchPricingMode('spot');
+  });
+  
+  announceToScreenReader('Bootstrapped spot rates copied to the spot rate curve. Pricing off the spot curve.');
 }
 
+// =============================================================================
+// PULL TO PAR (CONSTANT-YIELD PRICE PATH)
+// =============================================================================
+
 /**
- * Set up skip link handlers for accessibility
+ * Render the carrying value path at an unchanged yield, its note and table
+ * @param {Object} currentState - Current state
  */
-function setupSkipLinks() {
-  const skipToTable = document.querySelector('a[href="#data-table"]');
+function renderPricePath({ bondCalculations, faceValue, frequency, ytm }) {
+  const { flatPrice, accruedInterest, structure } = bondCalculations;
+  const rows = calculatePricePath({ ...bondCalculations, frequency, faceValue });
   
-  if (skipToTable) {
-    listen(skipToTable, 'click', (e) => {
-      // Prevent default to handle it ourselves
-      e.preventDefault();
-      
-      // Switch to table view if not already there
-      if (state.viewMode !== 'table') {
-        switchView('table');
-      } else {
-        // If already in table view, just focus the table
-        focusElement($('#cash-flow-table'), 100);
-      }
-      
-      // Scroll the section into view
-      const section = $('#data-table');
-      if (section) {
-        section.scrollIntoView({ behavior: 'smooth', block: 'start' });
-      }
-    });
+  renderPricePathChart([
+    { yearLabel: 0, value: flatPrice, outstandingPrincipal: faceValue },
+    ...rows.map(row => ({
+      yearLabel: row.yearLabel,
+      value: row.closingValue,
+      outstandingPrincipal: row.outstandingPrincipal
+    }))
+  ]);
+  renderPricePathTable(rows, flatPrice);
+  
+  const difference = flatPrice - faceValue;
+  let note = structure === 'perpetual'
+    ? `A perpetual bond is never redeemed, so at an unchanged yield of ${ytm.toFixed(2)}% its ` +
+      `carrying value is the same after every coupon. The first ${rows.length} coupons are shown.`
+    : Math.abs(difference) < 0.005
+      ? 'Bought at par: at an unchanged yield, interest income equals the coupon and nothing is amortized.'
+      : `Bought at a ${difference > 0 ? 'premium' : 'discount'} of ${formatCurrency(Math.abs(difference))}. ` +
+        `At an unchanged yield of ${ytm.toFixed(2)}%, interest income is the yield times the carrying value; ` +
+        `the ${difference > 0 ? 'premium is amortized' : 'discount is accreted'} by the difference from ` +
+        'the coupon each period, reaching par at maturity.';
+  if (accruedInterest > 0) {
+    note += ` The ${formatCurrency(accruedInterest)} of accrued interest paid at settlement comes back ` +
+      'with the first coupon and is not income.';
   }
+  setText($('#price-path-note'), note);
 }
 
 // =============================================================================
-// INPUT HANDLING
+// HORIZON RETURN (REINVESTMENT AND SALE)
 // =============================================================================
 
 /**
- * Set up event listeners for input fields
+ * Horizon return inputs and the state fields they edit
  */
-function setupInputListeners() {
-  const inputs = [
-    { id: 'coupon-rate', field: 'couponRate' },
-    { id: 'ytm', field: 'ytm' },
-    { id: 'years', field: 'years' }
-  ];
-  
-  inputs.forEach(({ id, field }) => {
-    const input = $(`#${id}`);
+const HORIZON_FIELDS = {
+  horizonYears: '#horizon-years',
+  reinvestmentRate: '#reinvestment-rate',
+  saleYield: '#sale-yield'
+};
+
+/**
+ * Set up the horizon, reinvestment rate and sale yield inputs
+ */
+function setupHorizonInputs() {
+  Object.entries(HORIZON_FIELDS).forEach(([field, selector]) => {
+    const input = $(selector);
     if (!input) return;
     
-    // Update state on input change (debounced)
-    const debouncedUpdate = debounce(() => {
-      const value = parseFloat(input.value);
-      
-      // Validate field
-      const error = validateField(field, value);
-      updateFieldError(id, error);
-      
-      // Update state
-      const errors = { ...state.errors };
-      if (error) {
-        errors[field] = error;
-      } else {
-        delete errors[field];
-      }
-      
-      setState({
-        [field]: value,
-        errors
-      });
-      
-      // Update validation summary
-      updateValidationSummary(errors);
-      
-      // Recalculate if no errors
-      if (!hasErrors(errors)) {
-        updateCalculations();
-      }
-    }, 300);
+    input.value = state[field];
     
-    listen(input, 'input', debouncedUpdate);
-    listen(input, 'change', debouncedUpdate);
+    listen(input, 'input', debounce(() => {
+      setState({ [field]: parseFloat(input.value) });
+    }, 300));
   });
 }
 
 /**
- * Update bond calculations based on current state
+ * Render the horizon return chart and table, or the input errors
+ * @param {Object} currentState - Current state
  */
-function updateCalculations() {
-  const { couponRate, ytm, years, faceValue, frequency, errors } = state;
+function renderHorizon(currentState) {
+  const { bondCalculations, horizonYears, reinvestmentRate, saleYield, frequency, structure } = currentState;
+  const errors = validateHorizon({ horizonYears, reinvestmentRate, saleYield, structure });
   
-  // Don't calculate if there are validation errors
-  if (hasErrors(errors)) {
-    setState({ bondCalculations: null });
-    return;
-  }
+  Object.entries(HORIZON_FIELDS).forEach(([field, selector]) => {
+    updateFieldError(selector.slice(1), errors[field] || null);
+  });
   
-  try {
-    // Calculate bond metrics
-    const calculations = calculateBondMetrics({
-      faceValue,
-      couponRate,
-      ytm,
-      years,
-      frequency
-    });
-    
-    // Update state with calculations
-    setState({ bondCalculations: calculations });
-    
-  } catch (error) {
-    console.error('Calculation error:', error);
-    setState({ bondCalculations: null });
-  }
+  if (hasErrors(errors)) return;
+  
+  const scenarios = calculateHorizonScenarios(bondCalculations, {
+    horizonYears,
+    reinvestmentRate,
+    saleYield,
+    frequency
+  });
+  renderHorizonChart(scenarios);
+  renderHorizonTable(scenarios);
 }
 
 // =============================================================================
-// VIEW TOGGLE (CHART/TABLE)
+// EXPORT
 // =============================================================================
 
 /**
- * Set up chart/table view toggle
+ * Set up CSV and Excel export of the cash flow schedule
  */
-function setupViewToggle() {
-  const chartBtn = $('#chart-view-btn');
-  const tableBtn = $('#table-view-btn');
-  
-  if (!chartBtn || !tableBtn) {
-    console.error('Toggle buttons not found');
-    return;
-  }
-  
-  listen(chartBtn, 'click', () => switchView('chart'));
-  listen(tableBtn, 'click', () => switchView('table'));
+function setupExportButtons() {
+  listen($('#export-csv-btn'), 'click', () => exportSchedule('csv'));
+  listen($('#export-xlsx-btn'), 'click', () => exportSchedule('xlsx'));
 }
 
 /**
- * Switch between chart and table views
- * @param {string} view - 'chart' or 'table'
+ * Download the current cash flow schedule
+ * @param {string} format - 'csv' or 'xlsx' (SpreadsheetML)
  */
-function switchView(view) {
-  const chartBtn = $('#chart-view-btn');
-  const tableBtn = $('#table-view-btn');
-  const chartContainer = $('#chart-container');
-  const tableContainer = $('#table-container');
-  const legend = $('#chart-legend');
+function exportSchedule(format) {
+  const { bondCalculations } = state;
   
-  // Update state
-  setState({ viewMode: view });
+  if (!bondCalculations) {
+    announceToScreenReader('Nothing to export. Correct the inputs first.');
+    return;
+  }
   
-  // Update button states
-  if (view === 'chart') {
-    chartBtn.classList.add('active');
-    chartBtn.setAttribute('aria-pressed', 'true');
-    tableBtn.classList.remove('active');
-    tableBtn.setAttribute('aria-pressed', 'false');
-    
-    // Show chart, hide table
-    chartContainer.style.display = 'block';
-    tableContainer.style.display = 'none';
-    legend.style.display = 'flex';
-    
-    // Announce change
-    announceToScreenReader('Chart view active');
-    
-    // Focus chart container
-    focusElement(chartContainer, 100);
-    
+  const rows = buildExportRows(bondCalculations, {
+    faceValue: state.faceValue,
+    couponRate: state.couponRate,
+    ytm: state.ytm,
+    years: state.years,
+    frequency: state.frequency,
+    lastCouponDate: state.lastCouponDate,
+    settlementDate: state.settlementDate
+  });
+  
+  if (format === 'csv') {
+    // Byte order mark so Excel reads the file as UTF-8
+    downloadFile('bond-cash-flows.csv', '\uFEFF' + toCSV(rows), 'text/csv;charset=utf-8');
+    announceToScreenReader('CSV file downloaded');
   } else {
-    tableBtn.classList.add('active');
-    tableBtn.setAttribute('aria-pressed', 'true');
-    chartBtn.classList.remove('active');
-    chartBtn.setAttribute('aria-pressed', 'false');
-    
-    // Show table, hide chart
-    tableContainer.style.display = 'block';
-    chartContainer.style.display = 'none';
-    legend.style.display = 'none';
-    
-    // Announce change
-    announceToScreenReader('Table view active');
-    
-    // Focus table
-    focusElement($('#cash-flow-table'), 100);
+    downloadFile('bond-cash-flows.xml', toSpreadsheetML(rows), 'application/vnd.ms-excel');
+    announceToScreenReader('Excel file downloaded');
   }
 }
 
@@ -248,37 +2076,152 @@ function switchView(view) {
 // =============================================================================
 
 /**
- * Handle state changes and update UI
+ * Render the results, worked solution and cash flow table of the calculations
  * @param {Object} newState - Updated state
  */
-function handleStateChange(newState) {
-  const { bondCalculations, viewMode } = newState;
+function renderCalculations(newState) {
+  const { bondCalculations, comparison } = newState;
   
   if (!bondCalculations) {
-    // Clear displays if no calculations
+    // Keep the last results on screen until the inputs are corrected
     return;
   }
   
+  // Show the solved value in its input, and every value on its slider
+  renderSolvedField(newState);
+  syncSliders();
+  
+  // Name the payment frequency in headings and descriptions
+  renderFrequencyText(newState.frequency);
+  
+  // A zero-coupon bond ignores the entered coupon rate; a floating-rate note
+  // pays its current reference rate plus quoted margin
+  const couponRate = bondCalculations.floating
+    ? bondCalculations.floating.couponRates[0]
+    : newState.structure === 'zero' ? 0 : newState.couponRate;
+  
   // Update results section
   renderResults(bondCalculations, {
     faceValue: newState.faceValue,
-    couponRate: newState.couponRate,
+    couponRate,
     ytm: newState.ytm,
-    years: newState.years
-  });
+    years: newState.years,
+    frequency: newState.frequency
+  }, comparison);
   
-  // Update chart if in chart view
-  if (viewMode === 'chart') {
-    const showLabels = shouldShowLabels();
-    renderChart(bondCalculations.cashFlows, showLabels);
-  }
+  // Substitute the current numbers into the equation
+  renderWorkedSolution(bondCalculations, {
+    faceValue: newState.faceValue,
+    couponRate,
+    ytm: newState.ytm,
+    years: newState.years,
+    frequency: newState.frequency
+  });
   
   // Always update table (even if hidden)
   renderTable(
     bondCalculations.cashFlows,
     bondCalculations.bondPrice,
     bondCalculations.periods,
-    bondCalculations.periodicCoupon
+    bondCalculations.periodicCoupon,
+    newState.faceValue,
+    newState.frequency,
+    {
+      spotCurve: Boolean(bondCalculations.spotPricing),
+      structure: bondCalculations.structure,
+      truncation: bondCalculations.truncation
+    }
+  );
+}
+
+/**
+ * Render the active chart view
+ * Changes that only another view shows (such as par yields while the cash
+ * flow chart is showing) are skipped.
+ * @param {Object} newState - Updated state
+ * @param {Set<string>} changed - State keys that changed
+ */
+function renderActiveView(newState, changed) {
+  const { bondCalculations, viewMode } = newState;
+  
+  if (!bondCalculations) return;
+  
+  const keys = ['bondCalculations', 'viewMode', ...VIEWS[viewMode].renders];
+  if (!keys.some(key => changed.has(key))) return;
+  
+  // Update chart if in chart view
+  if (viewMode === 'chart') {
+    renderCashFlowChart(newState);
+  }
+  renderChartNote(newState);
+  
+  // Update price–yield curve and yield shock grid if in curve view
+  if (viewMode === 'curve') {
+    renderPriceYieldChart(bondCalculations.priceYieldCurve, {
+      onDrag: isOutputField('ytm', newState) ? null : dragYield
+    });
+    renderYieldShockChart(bondCalculations.yieldShocks);
+    renderYieldShockTable(bondCalculations.yieldShocks, bondCalculations.bondPrice);
+  }
+  
+  // Update carrying value path if in pull to par view
+  if (viewMode === 'path') {
+    renderPricePath(newState);
+  }
+  
+  // Update par, spot and forward curves if in yield curve view
+  if (viewMode === 'term') {
+    renderTermStructure(newState);
+  }
+  
+  // Update reinvestment and sale analysis if in horizon return view
+  if (viewMode === 'horizon') {
+    renderHorizon(newState);
+  }
+}
+
+/**
+ * Render the cash flow chart for the active bond, or overlay all scenarios
+ * @param {Object} currentState - Current state
+ */
+function renderCashFlowChart(currentState) {
+  const { bondCalculations, chartValues, showLabels, overlayScenarios, comparison } = currentState;
+  
+  // Amortizing bonds show their declining outstanding principal
+  const showBalance = AMORTIZING_STRUCTURES.includes(bondCalculations.structure) &&
+    !(overlayScenarios && comparison.length > 1);
+  $('#balance-legend').hidden = !showBalance;
+  
+  if (overlayScenarios && comparison.length > 1) {
+    const series = comparison
+      .filter(scenario => scenario.calculations)
+      .map(scenario => ({ name: scenario.name, cashFlows: scenario.calculations.cashFlows }));
+    renderScenarioLegend(series);
+    renderScenarioChart(series);
+  } else {
+    renderScenarioLegend(null);
+    renderChart(bondCalculations.cashFlows, showLabels && shouldShowLabels(), chartValues, showBalance);
+  }
+}
+
+/**
+ * Explain the coupons a perpetual bond's truncated chart leaves out
+ * @param {Object} currentState - Current state
+ */
+function renderChartNote({ bondCalculations, frequency, viewMode }) {
+  const note = $('#chart-note');
+  if (!note) return;
+  
+  const { truncation, bondPrice } = bondCalculations;
+  note.hidden = !truncation || viewMode !== 'chart';
+  if (!truncation) return;
+  
+  const share = (truncation.pvTail / bondPrice * 100).toFixed(1);
+  setText(note,
+    `Showing the first ${truncation.shownPeriods} coupons ` +
+    `(${formatYears(truncation.shownPeriods / frequency)} years). A perpetual bond pays its coupon ` +
+    `forever; the coupons after those shown are worth ${formatCurrency(truncation.pvTail)} today, ` +
+    `${share}% of the price.`
   );
 }
 
@@ -297,8 +2240,7 @@ function setupResizeListener() {
     clearTimeout(resizeTimeout);
     resizeTimeout = setTimeout(() => {
       if (state.viewMode === 'chart' && state.bondCalculations) {
-        const showLabels = shouldShowLabels();
-        renderChart(state.bondCalculations.cashFlows, showLabels);
+        renderCashFlowChart(state);
       }
     }, 250);
   });
@@ -320,6 +2262,11 @@ function runSelfTests() {
       inputs: { faceValue: 100, couponRate: 6, ytm: 6, years: 5, frequency: 2 },
       expected: { price: 100, tolerance: 0.2 }
     },
+    {
+      name: 'Annual par bond pricing ($1,000 face)',
+      inputs: { faceValue: 1000, couponRate: 5, ytm: 5, years: 3, frequency: 1 },
+      expected: { price: 1000, tolerance: 0.01 }
+    },
     {
       name: 'Premium bond pricing',
       inputs: { faceValue: 100, couponRate: 8, ytm: 6, years: 5, frequency: 2 },
@@ -329,14 +2276,91 @@ function runSelfTests() {
       name: 'Discount bond pricing',
       inputs: { faceValue: 100, couponRate: 4, ytm: 6, years: 5, frequency: 2 },
       expected: { priceShouldBe: 'less than 100' }
+    },
+    {
+      name: 'YTM solver (premium bond)',
+      inputs: { faceValue: 100, couponRate: 8.6, price: 108.84351483447097, years: 5, frequency: 2 },
+      expected: { ytm: 6.5, tolerance: 1e-8 }
+    },
+    {
+      name: 'YTM solver (zero-coupon bond)',
+      inputs: { faceValue: 100, couponRate: 0, price: 74.4093914896725, years: 5, frequency: 2 },
+      expected: { ytm: 6, tolerance: 1e-8 }
+    },
+    {
+      name: 'Zero-coupon Macaulay duration equals maturity',
+      inputs: { faceValue: 100, couponRate: 0, ytm: 6, years: 5, frequency: 2 },
+      expected: { macaulayDuration: 5, tolerance: 1e-10 }
+    },
+    {
+      name: 'Par bond flat price between coupon dates',
+      inputs: { faceValue: 100, couponRate: 6, ytm: 6, years: 5, frequency: 2, accrualFraction: 0.5 },
+      // Full price 100 × 1.03^0.5 less 1.50 accrued interest
+      expected: { flatPrice: 100 * Math.sqrt(1.03) - 1.5, tolerance: 1e-9 }
+    },
+    {
+      name: 'Perpetual bond price is PMT/r',
+      inputs: { structure: 'perpetual', faceValue: 100, couponRate: 5, ytm: 4, frequency: 1 },
+      expected: { price: 125, tolerance: 1e-9 }
+    },
+    {
+      name: 'Perpetual Macaulay duration is (1 + r)/r',
+      inputs: { structure: 'perpetual', faceValue: 100, couponRate: 5, ytm: 4, frequency: 1 },
+      expected: { macaulayDuration: 26, tolerance: 1e-9 }
+    },
+    {
+      name: 'Level-payment amortizing bond at its coupon rate prices at par',
+      inputs: { structure: 'level', faceValue: 100, couponRate: 6, ytm: 6, years: 5, frequency: 2 },
+      expected: { price: 100, tolerance: 1e-9 }
+    },
+    {
+      name: 'Sinking fund bond at its coupon rate prices at par',
+      inputs: {
+        structure: 'sinking', faceValue: 100, couponRate: 6, ytm: 6, years: 5, frequency: 2,
+        sinkingFund: [0, 0, 0, 0, 10, 10, 10, 10, 10]
+      },
+      expected: { price: 100, tolerance: 1e-9 }
+    },
+    {
+      name: 'Flat spot curve matches single-yield price',
+      inputs: { faceValue: 100, couponRate: 8.6, years: 5, frequency: 2, spotRates: new Array(10).fill(6.5) },
+      expected: { price: 108.84351483447097, tolerance: 1e-9 }
     }
   ];
   
   tests.forEach(test => {
     try {
-      const result = calculateBondMetrics(test.inputs);
+      if (test.expected.ytm !== undefined) {
+        const solution = solveYieldToMaturity(test.inputs);
+        const diff = Math.abs(solution.ytm - test.expected.ytm);
+        if (solution.converged && diff <= test.expected.tolerance) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: expected ${test.expected.ytm}, got ${solution.ytm}`);
+        }
+        return;
+      }
       
-      if (test.expected.price !== undefined) {
+      const result = test.inputs.spotRates
+        ? { bondPrice: calculateSpotPrice(test.inputs).price }
+        : calculateBondMetrics(test.inputs);
+      
+      if (test.expected.macaulayDuration !== undefined) {
+        const { macaulayDuration } = result.riskMeasures;
+        const diff = Math.abs(macaulayDuration - test.expected.macaulayDuration);
+        if (diff <= test.expected.tolerance) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: expected ${test.expected.macaulayDuration}, got ${macaulayDuration}`);
+        }
+      } else if (test.expected.flatPrice !== undefined) {
+        const diff = Math.abs(result.flatPrice - test.expected.flatPrice);
+        if (diff <= test.expected.tolerance) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: expected ${test.expected.flatPrice}, got ${result.flatPrice}`);
+        }
+      } else if (test.expected.price !== undefined) {
         const diff = Math.abs(result.bondPrice - test.expected.price);
         if (diff <= test.expected.tolerance) {
           console.log(`✓ ${test.name} passed`);
@@ -361,6 +2385,151 @@ function runSelfTests() {
     }
   });
   
+  // Day-count reference examples: coupon dates 15 May / 15 Nov, settling 27 June
+  const dayCountTests = [
+    { convention: '30/360', start: '2026-05-15', end: '2026-06-27', days: 42, daysInPeriod: 180 },
+    { convention: 'ACT/360', start: '2026-05-15', end: '2026-06-27', days: 43, daysInPeriod: 180 },
+    { convention: 'ACT/365', start: '2026-05-15', end: '2026-06-27', days: 43, daysInPeriod: 182.5 },
+    { convention: 'ACT/ACT', start: '2026-05-15', end: '2026-06-27', days: 43, daysInPeriod: 184 },
+    // Late in the period a fixed 360/f or 365/f basis runs out before the next coupon
+    { convention: 'ACT/360', start: '2026-05-15', end: '2026-11-14', days: 183, daysInPeriod: 180, invalid: true },
+    { convention: 'ACT/365', start: '2026-05-15', end: '2026-11-14', days: 183, daysInPeriod: 182.5, invalid: true },
+    { convention: 'ACT/ACT', start: '2026-05-15', end: '2026-11-14', days: 183, daysInPeriod: 184 },
+    // 31st of the month counts as the 30th on the bond basis
+    { convention: '30/360', start: '2026-01-31', end: '2026-03-31', days: 60, daysInPeriod: 180 }
+  ];
+  
+  dayCountTests.forEach(({ convention, start, end, days, daysInPeriod, invalid = false }) => {
+    const name = `${convention} day count (${start} to ${end})`;
+    const period = couponPeriod({
+      convention,
+      lastCouponDate: parseDate(start),
+      settlementDate: parseDate(end),
+      frequency: 2
+    });
+    const rejected = validateSettlement(start, end, 2, convention) !== null;
+    
+    if (period.daysAccrued === days && period.daysInPeriod === daysInPeriod && rejected === invalid) {
+      console.log(`✓ ${name} passed`);
+    } else {
+      console.warn(`✗ ${name} failed: expected ${days}/${daysInPeriod}` +
+        `${invalid ? ' (rejected)' : ''}, got ${period.daysAccrued}/${period.daysInPeriod}` +
+        `${rejected ? ' (rejected)' : ''}`);
+    }
+  });
+  
+  // Bootstrap reference example: annual par yields 5%, 5.97%, 6.91%
+  // give spot rates of 5%, 6% and 7% (to the rounding of the par yields)
+  const bootstrapped = bootstrapTermStructure([5, 5.97, 6.91], 1).map(row => row.spotRate);
+  if ([5, 6, 7].every((spot, i) => Math.abs(bootstrapped[i] - spot) < 0.001)) {
+    console.log('✓ Bootstrapped spot rates from par yields passed');
+  } else {
+    console.warn(`✗ Bootstrapped spot rates from par yields failed: got ${bootstrapped.join(', ')}`);
+  }
+  
+  // A floating-rate note whose quoted and discount margins match is worth par
+  // on a reset date, whatever path the reference rate takes
+  const floatingNote = calculateFromInputs({
+    ...DEFAULT_INPUTS,
+    structure: 'frn',
+    solveFor: 'price',
+    pricingMode: 'ytm',
+    referencePath: 'custom',
+    referenceRates: [3, 3.5, 4, 4.5, 5, 5.5, 6, 6.5, 7, 7.5],
+    quotedMargin: 80,
+    discountMargin: 80
+  });
+  if (Math.abs(floatingNote.bondPrice - 100) < 1e-9) {
+    console.log('✓ Floating-rate note with QM = DM priced at par passed');
+  } else {
+    console.warn(`✗ Floating-rate note with QM = DM priced at par failed: got ${floatingNote.bondPrice}`);
+  }
+  
+  // A par bond called at par yields its coupon rate to the call date
+  const parInputs = {
+    ...DEFAULT_INPUTS,
+    structure: 'coupon',
+    couponRate: 6,
+    ytm: 6,
+    solveFor: 'price',
+    pricingMode: 'ytm',
+    embeddedOption: 'call',
+    optionSchedule: [{ date: '2028-05-15', price: 100 }]
+  };
+  const callYield = calculateRedemptionYields(calculateFromInputs(parInputs), parInputs).scenarios[0].ytm;
+  if (Math.abs(callYield - 6) < 1e-6) {
+    console.log('✓ Yield-to-call of a par bond called at par passed');
+  } else {
+    console.warn(`✗ Yield-to-call of a par bond called at par failed: expected 6, got ${callYield}`);
+  }
+  
+  // 6.5% compounded semi-annually is 6.605625% effective, 6.4480% quarterly
+  const measures = calculateYieldMeasures(calculateFromInputs({ ...DEFAULT_INPUTS, ytm: 6.5, frequency: 2 }), DEFAULT_INPUTS);
+  const quarterly = measures.equivalents.find(({ key }) => key === 'quarterly').rate;
+  if (Math.abs(measures.effectiveYield - 6.605625) < 1e-9 && Math.abs(quarterly - 6.448029) < 1e-6) {
+    console.log('✓ Equivalent yields under other compounding passed');
+  } else {
+    console.warn(`✗ Equivalent yields under other compounding failed: got ${measures.effectiveYield}, ${quarterly}`);
+  }
+  
+  // Adding convexity shrinks the duration estimate's error at every shock
+  const shocks = calculateFromInputs(DEFAULT_INPUTS).yieldShocks;
+  if (shocks.every(row => Math.abs(row.convexityError) < Math.abs(row.durationError))) {
+    console.log('✓ Convexity improves the duration estimate under yield shocks passed');
+  } else {
+    console.warn('✗ Convexity improves the duration estimate under yield shocks failed');
+  }
+  
+  // At an unchanged yield the whole premium is amortized by maturity
+  const premiumBond = calculateFromInputs(DEFAULT_INPUTS);
+  const amortized = calculatePricePath({ ...premiumBond, frequency: DEFAULT_INPUTS.frequency, faceValue: DEFAULT_INPUTS.faceValue })
+    .reduce((sum, row) => sum + row.amortization, 0);
+  const premium = premiumBond.flatPrice - DEFAULT_INPUTS.faceValue;
+  if (Math.abs(amortized - premium) < 1e-9) {
+    console.log('✓ Premium amortized to par at a constant yield passed');
+  } else {
+    console.warn(`✗ Premium amortized to par at a constant yield failed: expected ${premium}, got ${amortized}`);
+  }
+  
+  // Reinvesting and selling at the yield-to-maturity realizes that yield at any horizon
+  const horizon = calculateHorizonScenarios(calculateFromInputs(DEFAULT_INPUTS), {
+    horizonYears: 2.5,
+    reinvestmentRate: DEFAULT_INPUTS.ytm,
+    saleYield: DEFAULT_INPUTS.ytm,
+    frequency: DEFAULT_INPUTS.frequency
+  }).find(({ shift }) => shift === 0);
+  if (Math.abs(horizon.realizedYield - DEFAULT_INPUTS.ytm) < 1e-9) {
+    console.log('✓ Horizon return at the yield-to-maturity passed');
+  } else {
+    console.warn(`✗ Horizon return at the yield-to-maturity failed: expected ${DEFAULT_INPUTS.ytm}, got ${horizon.realizedYield}`);
+  }
+  
+  // A perpetual bond at a 0% yield is reported, not priced at PMT/0
+  const perpetualAtZero = { ...DEFAULT_INPUTS, structure: 'perpetual', solveFor: 'price', ytm: 0 };
+  if (validateAllInputs(perpetualAtZero).ytm && validatePerpetual(perpetualAtZero).ytm) {
+    console.log('✓ Perpetual bond at a 0% yield reports an error passed');
+  } else {
+    console.warn('✗ Perpetual bond at a 0% yield reports an error failed: no error reported');
+  }
+  
+  // History keeps at most HISTORY_LIMIT steps, a new step clears redo,
+  // and an unchanged snapshot is not a step
+  let history = createHistory({ ytm: 0 });
+  for (let ytm = 1; ytm <= HISTORY_LIMIT + 5; ytm++) {
+    history = recordHistory(history, { ytm });
+  }
+  const branched = recordHistory(undoHistory(history), { ytm: -1 });
+  const historyChecks = [
+    history.past.length === HISTORY_LIMIT && history.past[0].ytm === 5,
+    branched.future.length === 0 && redoHistory(branched) === branched,
+    recordHistory(branched, { ytm: -1 }) === branched
+  ];
+  if (historyChecks.every(Boolean)) {
+    console.log('✓ Undo history bounded, branching and unchanged snapshots passed');
+  } else {
+    console.warn(`✗ Undo history bounded, branching and unchanged snapshots failed: got ${historyChecks.join(', ')}`);
+  }
+  
   console.log('Self-tests complete');
 }
 
@@ -392,4 +2561,4 @@ if (document.readyState === 'loading') {
 }
 
 // Export for potential external use
-export { state, setState, updateCalculations };
+export { state, setState, updateCalculations, calculateBond };
@@ -3,76 +3,573 @@
  * Pure functions for bond valuation mathematics
  */
 
+import { couponPeriod, parseDate } from './daycount.js';
+
+/**
+ * Bond structures and their display labels
+ */
+export const BOND_STRUCTURES = {
+  coupon: 'Coupon bond',
+  zero: 'Zero-coupon bond',
+  perpetual: 'Perpetual bond',
+  level: 'Level-payment amortizing bond',
+  straight: 'Straight-line amortizing bond',
+  sinking: 'Sinking fund bond',
+  frn: 'Floating-rate note'
+};
+
+/**
+ * Structures that repay principal before maturity
+ */
+export const AMORTIZING_STRUCTURES = ['level', 'straight', 'sinking'];
+
+/**
+ * Number of coupons shown in the schedule of a perpetual bond
+ * A multiple of every payment frequency, so the schedule ends on a whole period.
+ */
+export const PERPETUAL_DISPLAY_PERIODS = 48;
+
+/**
+ * Principal repaid in each period under a repayment structure
+ * A bullet bond repays everything at maturity. Level-payment bonds pay the same
+ * total each period (mortgage style, at the coupon rate); straight-line bonds
+ * repay an equal slice of face value each period; a sinking fund retires the
+ * entered percentage of face value each period, with the rest at maturity.
+ * @param {Object} params - Repayment parameters
+ * @param {string} params.structure - Key of BOND_STRUCTURES (perpetual excluded)
+ * @param {number} params.faceValue - Face value of the bond
+ * @param {number} params.couponRate - Annual coupon rate (percentage)
+ * @param {number} params.periods - Number of periods to maturity
+ * @param {number} params.frequency - Payment frequency per year
+ * @param {Array<number>} params.sinkingFund - Percent of face value retired each period
+ * @returns {Array<number>} Principal repaid at the end of periods 1 to T
+ */
+export function amortizationSchedule({ structure, faceValue, couponRate, periods, frequency, sinkingFund = [] }) {
+  const rate = couponRate / 100 / frequency;
+  const principal = new Array(periods).fill(0);
+  
+  if (structure === 'straight') {
+    return principal.fill(faceValue / periods);
+  }
+  
+  if (structure === 'level') {
+    // Level payment A = FV × c / [1 − (1 + c)^−T]; with no coupon it is FV/T
+    const payment = rate === 0
+      ? faceValue / periods
+      : faceValue * rate / (1 - Math.pow(1 + rate, -periods));
+    let balance = faceValue;
+    for (let t = 0; t < periods; t++) {
+      principal[t] = t === periods - 1 ? balance : payment - balance * rate;
+      balance -= principal[t];
+    }
+    return principal;
+  }
+  
+  if (structure === 'sinking') {
+    let balance = faceValue;
+    for (let t = 0; t < periods - 1; t++) {
+      principal[t] = Math.min(faceValue * (sinkingFund[t] || 0) / 100, balance);
+      balance -= principal[t];
+    }
+    principal[periods - 1] = balance;
+    return principal;
+  }
+  
+  // Bullet repayment at maturity
+  principal[periods - 1] = faceValue;
+  return principal;
+}
+
+/**
+ * Interest and principal paid in each period
+ * Interest accrues on the balance outstanding at the start of the period.
+ * @param {number} faceValue - Face value of the bond
+ * @param {number|Array<number>} periodicCoupon - Coupon per period on the full face value,
+ *   or one per period when the rate resets (floating-rate notes)
+ * @param {Array<number>} principal - Principal repaid each period
+ * @returns {Array<Object>} Coupon, principal and closing balance per period
+ */
+function scheduledFlows(faceValue, periodicCoupon, principal) {
+  let balance = faceValue;
+  
+  return principal.map((repaid, index) => {
+    const fullCoupon = Array.isArray(periodicCoupon) ? periodicCoupon[index] : periodicCoupon;
+    const coupon = fullCoupon * balance / faceValue;
+    balance -= repaid;
+    
+    // Clear floating-point residue once the bond is fully repaid
+    if (Math.abs(balance) < faceValue * 1e-12) balance = 0;
+    
+    return { coupon, principal: repaid, balance };
+  });
+}
+
+/**
+ * Principal schedule of a bullet bond
+ * @param {number} faceValue - Face value of the bond
+ * @param {number} periods - Number of periods to maturity
+ * @returns {Array<number>} Face value at maturity, nothing before
+ */
+function bulletPrincipal(faceValue, periods) {
+  return amortizationSchedule({ structure: 'coupon', faceValue, couponRate: 0, periods, frequency: 1 });
+}
+
 /**
  * Calculate bond price using present value formula
+ * Between coupon dates each cash flow is discounted over a fractional number
+ * of periods (t − w), giving the full (dirty) price; the flat (clean) price
+ * is the full price less accrued interest.
  * @param {Object} params - Bond parameters
  * @param {number} params.faceValue - Face value of the bond
  * @param {number} params.couponRate - Annual coupon rate (percentage)
  * @param {number} params.ytm - Yield to maturity (percentage)
- * @param {number} params.years - Years to maturity
+ * @param {number} params.years - Years to maturity, counted from the last coupon date
  * @param {number} params.frequency - Payment frequency per year
+ * @param {number} params.accrualFraction - Fraction of the coupon period elapsed at settlement
+ * @param {Array<number>} params.principal - Principal repaid each period (bullet if omitted)
+ * @param {Array<number>} params.coupons - Coupon each period on the full face value, in
+ *   place of the coupon rate (floating-rate notes)
  * @returns {Object} Bond price components
  */
-export function calculateBondPrice({ faceValue, couponRate, ytm, years, frequency }) {
+export function calculateBondPrice({
+  faceValue,
+  couponRate,
+  ytm,
+  years,
+  frequency,
+  accrualFraction = 0,
+  principal = null,
+  coupons = null
+}) {
   const periods = years * frequency;
-  const periodicCouponRate = couponRate / 100 / frequency;
   const periodicYield = ytm / 100 / frequency;
-  const periodicCoupon = faceValue * periodicCouponRate;
+  const periodicCoupon = coupons ? coupons[0] : faceValue * couponRate / 100 / frequency;
+  const flows = scheduledFlows(faceValue, coupons || periodicCoupon, principal || bulletPrincipal(faceValue, periods));
   
-  // Calculate present value of coupon payments
+  // Present values of coupon payments and of principal repayments
   let pvCoupons = 0;
-  for (let t = 1; t <= periods; t++) {
-    pvCoupons += periodicCoupon / Math.pow(1 + periodicYield, t);
-  }
-  
-  // Calculate present value of face value
-  const pvFaceValue = faceValue / Math.pow(1 + periodicYield, periods);
+  let pvFaceValue = 0;
+  flows.forEach((flow, index) => {
+    const discountFactor = 1 / Math.pow(1 + periodicYield, index + 1 - accrualFraction);
+    pvCoupons += flow.coupon * discountFactor;
+    pvFaceValue += flow.principal * discountFactor;
+  });
   
-  // Total bond price
+  // Total bond price (full price at settlement)
   const price = pvCoupons + pvFaceValue;
   
+  // Coupon earned by the seller since the last coupon date
+  const accruedInterest = accrualFraction * periodicCoupon;
+  
   return { 
     price, 
     pvCoupons, 
     pvFaceValue,
+    accruedInterest,
+    flatPrice: price - accruedInterest,
     periodicCoupon,
     periodicYield,
     periods
   };
 }
 
+/**
+ * Calculate bond price by discounting each cash flow at its own spot rate
+ * @param {Object} params - Bond parameters
+ * @param {number} params.faceValue - Face value of the bond
+ * @param {number} params.couponRate - Annual coupon rate (percentage)
+ * @param {number} params.years - Years to maturity, counted from the last coupon date
+ * @param {number} params.frequency - Payment frequency per year
+ * @param {Array<number>} params.spotRates - Annual spot rates (percentage), one per period
+ * @param {number} params.accrualFraction - Fraction of the coupon period elapsed at settlement
+ * @param {Array<number>} params.principal - Principal repaid each period (bullet if omitted)
+ * @returns {Object} Bond price components and the discount factor of each period
+ */
+export function calculateSpotPrice({
+  faceValue,
+  couponRate,
+  years,
+  frequency,
+  spotRates,
+  accrualFraction = 0,
+  principal = null
+}) {
+  const periods = years * frequency;
+  const periodicCoupon = faceValue * couponRate / 100 / frequency;
+  const flows = scheduledFlows(faceValue, periodicCoupon, principal || bulletPrincipal(faceValue, periods));
+  const discountFactors = [];
+  
+  let pvCoupons = 0;
+  let pvFaceValue = 0;
+  flows.forEach((flow, index) => {
+    const spot = spotRates[index] / 100 / frequency;
+    const discountFactor = 1 / Math.pow(1 + spot, index + 1 - accrualFraction);
+    discountFactors.push(discountFactor);
+    pvCoupons += flow.coupon * discountFactor;
+    pvFaceValue += flow.principal * discountFactor;
+  });
+  
+  const price = pvCoupons + pvFaceValue;
+  const accruedInterest = accrualFraction * periodicCoupon;
+  
+  return {
+    price,
+    pvCoupons,
+    pvFaceValue,
+    accruedInterest,
+    flatPrice: price - accruedInterest,
+    periodicCoupon,
+    periods,
+    discountFactors
+  };
+}
+
+/**
+ * Calculate the price of a perpetual bond
+ * On a coupon date the price is the closed form PMT/r; between coupon dates
+ * that value is carried forward to settlement as (PMT/r) × (1 + r)^w.
+ * @param {Object} params - Bond parameters
+ * @param {number} params.faceValue - Face value of the bond
+ * @param {number} params.couponRate - Annual coupon rate (percentage)
+ * @param {number} params.ytm - Yield (percentage); must be positive
+ * @param {number} params.frequency - Payment frequency per year
+ * @param {number} params.accrualFraction - Fraction of the coupon period elapsed at settlement
+ * @returns {Object} Bond price components
+ */
+export function calculatePerpetualPrice({ faceValue, couponRate, ytm, frequency, accrualFraction = 0 }) {
+  const periodicYield = ytm / 100 / frequency;
+  const periodicCoupon = faceValue * couponRate / 100 / frequency;
+  
+  const couponDatePrice = periodicCoupon / periodicYield;
+  const price = couponDatePrice * Math.pow(1 + periodicYield, accrualFraction);
+  const accruedInterest = accrualFraction * periodicCoupon;
+  
+  return {
+    price,
+    couponDatePrice,
+    pvCoupons: price,
+    pvFaceValue: 0,
+    accruedInterest,
+    flatPrice: price - accruedInterest,
+    periodicCoupon,
+    periodicYield,
+    periods: Infinity
+  };
+}
+
+/**
+ * Calculate the price of a floating-rate note
+ * Each coupon is the reference rate for its period plus the quoted margin (QM);
+ * each cash flow is discounted at the reference rates plus the discount margin
+ * (DM), compounded period by period. With a flat reference rate this is the
+ * fixed-rate formula with coupon (index + QM)/m and yield (index + DM)/m.
+ * @param {Object} params - Note parameters
+ * @param {number} params.faceValue - Face value of the note
+ * @param {number} params.years - Years to maturity, counted from the last coupon date
+ * @param {number} params.frequency - Payment (and reset) frequency per year
+ * @param {Array<number>} params.referenceRates - Annual reference rates (percentage), one per period
+ * @param {number} params.quotedMargin - Quoted margin over the reference rate (basis points)
+ * @param {number} params.discountMargin - Discount margin over the reference rate (basis points)
+ * @param {number} params.accrualFraction - Fraction of the coupon period elapsed at settlement
+ * @returns {Object} Note price components, the coupon and discount rates, the
+ *   coupon amounts and the discount factor of each period
+ */
+export function calculateFloatingPrice({
+  faceValue,
+  years,
+  frequency,
+  referenceRates,
+  quotedMargin,
+  discountMargin,
+  accrualFraction = 0
+}) {
+  const periods = years * frequency;
+  const rates = referenceRates.slice(0, periods);
+  const couponRates = rates.map(rate => rate + quotedMargin / 100);
+  const discountRates = rates.map(rate => rate + discountMargin / 100);
+  const coupons = couponRates.map(rate => faceValue * rate / 100 / frequency);
+  const flows = scheduledFlows(faceValue, coupons, bulletPrincipal(faceValue, periods));
+  const discountFactors = [];
+  
+  // The first period is discounted only for the part left after settlement
+  let discountFactor = Math.pow(1 + discountRates[0] / 100 / frequency, accrualFraction);
+  let pvCoupons = 0;
+  let pvFaceValue = 0;
+  flows.forEach((flow, index) => {
+    discountFactor /= 1 + discountRates[index] / 100 / frequency;
+    discountFactors.push(discountFactor);
+    pvCoupons += flow.coupon * discountFactor;
+    pvFaceValue += flow.principal * discountFactor;
+  });
+  
+  const price = pvCoupons + pvFaceValue;
+  
+  // The current coupon was set at the last reset, so it accrues like a fixed coupon
+  const accruedInterest = accrualFraction * coupons[0];
+  
+  return {
+    price,
+    pvCoupons,
+    pvFaceValue,
+    accruedInterest,
+    flatPrice: price - accruedInterest,
+    periodicCoupon: coupons[0],
+    periods,
+    referenceRates: rates,
+    quotedMargin,
+    discountMargin,
+    couponRates,
+    discountRates,
+    coupons,
+    discountFactors
+  };
+}
+
+/**
+ * Price a bond and its first derivative at a given periodic yield
+ * @param {Array<Object>} flows - Coupon and principal per period, from scheduledFlows
+ * @param {number} periodicYield - Yield per period (decimal)
+ * @param {number} accrualFraction - Fraction of the coupon period elapsed at settlement
+ * @returns {Object} Full price and dPrice/dYield
+ */
+function priceWithSlope(flows, periodicYield, accrualFraction = 0) {
+  let price = 0;
+  let slope = 0;
+
+  flows.forEach((flow, index) => {
+    const time = index + 1 - accrualFraction;
+    const discounted = (flow.coupon + flow.principal) / Math.pow(1 + periodicYield, time);
+    price += discounted;
+    slope -= time * discounted / (1 + periodicYield);
+  });
+
+  return { price, slope };
+}
+
+/**
+ * Solve for yield-to-maturity from an observed bond price
+ * Newton–Raphson on the periodic yield, kept inside a bracketing interval so
+ * that any step leaving the bracket falls back to bisection. Price is strictly
+ * decreasing in yield, so a bracket always exists for a positive price.
+ * @param {Object} params - Bond parameters
+ * @param {number} params.faceValue - Face value of the bond
+ * @param {number} params.couponRate - Annual coupon rate (percentage)
+ * @param {number} params.price - Observed full (dirty) bond price
+ * @param {number} params.years - Years to maturity, counted from the last coupon date
+ * @param {number} params.frequency - Payment frequency per year
+ * @param {number} params.accrualFraction - Fraction of the coupon period elapsed at settlement
+ * @param {Array<number>} params.principal - Principal repaid each period (bullet if omitted)
+ * @param {Array<number>} params.coupons - Coupon each period on the full face value, in
+ *   place of the coupon rate (floating-rate notes)
+ * @param {Object} options - Solver options
+ * @param {number} options.tolerance - Convergence tolerance, relative to price
+ * @param {number} options.maxIterations - Maximum number of iterations
+ * @returns {Object} Annual YTM (percentage) and convergence details
+ */
+export function solveYieldToMaturity(
+  { faceValue, couponRate, price, years, frequency, accrualFraction = 0, principal = null, coupons = null },
+  { tolerance = 1e-12, maxIterations = 100 } = {}
+) {
+  const periods = years * frequency;
+  const periodicCoupon = coupons ? coupons[0] : faceValue * couponRate / 100 / frequency;
+
+  const result = (periodicYield, iterations, converged, residual, bisections) => ({
+    ytm: periodicYield * frequency * 100,
+    periodicYield,
+    iterations,
+    converged,
+    residual,
+    bisections
+  });
+
+  if (!(price > 0) || periods < 1) {
+    return result(NaN, 0, false, NaN, 0);
+  }
+  
+  const flows = scheduledFlows(faceValue, coupons || periodicCoupon, principal || bulletPrincipal(faceValue, periods));
+
+  // Bracket the root: price is very large near a -100% yield and tends to 0
+  let low = -0.99;
+  let high = 1;
+  if (priceWithSlope(flows, low, accrualFraction).price < price) {
+    return result(NaN, 0, false, NaN, 0);
+  }
+  while (priceWithSlope(flows, high, accrualFraction).price > price) {
+    high *= 2;
+    if (high > 1e6) {
+      return result(NaN, 0, false, NaN, 0);
+    }
+  }
+
+  // Starting guess from the traditional approximate-yield formula
+  const approx = (periodicCoupon + (faceValue - price) / periods) / ((faceValue + price) / 2);
+  let periodicYield = Math.min(Math.max(approx, low), high);
+  let bisections = 0;
+  let residual = NaN;
+
+  for (let iteration = 1; iteration <= maxIterations; iteration++) {
+    const { price: modelPrice, slope } = priceWithSlope(flows, periodicYield, accrualFraction);
+    residual = modelPrice - price;
+
+    if (Math.abs(residual) <= tolerance * price) {
+      return result(periodicYield, iteration, true, residual, bisections);
+    }
+
+    // Model price too high means the yield is too low
+    if (residual > 0) {
+      low = periodicYield;
+    } else {
+      high = periodicYield;
+    }
+
+    let next = periodicYield - residual / slope;
+    if (!(next > low && next < high)) {
+      next = (low + high) / 2;
+      bisections++;
+    }
+
+    // Step has collapsed below floating-point resolution
+    if (Math.abs(next - periodicYield) <= Number.EPSILON * Math.max(1, Math.abs(next))) {
+      return result(next, iteration, true, residual, bisections);
+    }
+
+    periodicYield = next;
+  }
+
+  return result(periodicYield, maxIterations, false, residual, bisections);
+}
+
+/**
+ * Solve for the yield of a perpetual bond from an observed price
+ * On a coupon date the yield is simply PMT/price. Between coupon dates the
+ * price is (PMT/r) × (1 + r)^w, so r = PMT × (1 + r)^w / price is iterated
+ * from that starting point; the map is a contraction for w < 1.
+ * @param {Object} params - Bond parameters
+ * @param {number} params.faceValue - Face value of the bond
+ * @param {number} params.couponRate - Annual coupon rate (percentage)
+ * @param {number} params.price - Observed full (dirty) bond price
+ * @param {number} params.frequency - Payment frequency per year
+ * @param {number} params.accrualFraction - Fraction of the coupon period elapsed at settlement
+ * @param {Object} options - Solver options
+ * @param {number} options.tolerance - Convergence tolerance, relative to price
+ * @param {number} options.maxIterations - Maximum number of iterations
+ * @returns {Object} Annual yield (percentage) and convergence details
+ */
+export function solvePerpetualYield(
+  { faceValue, couponRate, price, frequency, accrualFraction = 0 },
+  { tolerance = 1e-12, maxIterations = 100 } = {}
+) {
+  const periodicCoupon = faceValue * couponRate / 100 / frequency;
+  
+  const result = (periodicYield, iterations, converged, residual) => ({
+    ytm: periodicYield * frequency * 100,
+    periodicYield,
+    iterations,
+    converged,
+    residual,
+    bisections: 0,
+    method: accrualFraction > 0 ? 'Fixed-point iteration' : 'Closed form PMT/price'
+  });
+  
+  if (!(price > 0) || !(periodicCoupon > 0)) {
+    return result(NaN, 0, false, NaN);
+  }
+  
+  let periodicYield = periodicCoupon / price;
+  let residual = NaN;
+  
+  for (let iteration = 1; iteration <= maxIterations; iteration++) {
+    const growth = Math.pow(1 + periodicYield, accrualFraction);
+    residual = periodicCoupon / periodicYield * growth - price;
+    
+    if (Math.abs(residual) <= tolerance * price) {
+      return result(periodicYield, iteration, true, residual);
+    }
+    
+    periodicYield = periodicCoupon * growth / price;
+  }
+  
+  return result(periodicYield, maxIterations, false, residual);
+}
+
 /**
  * Generate cash flow schedule for the bond
+ * Each future flow carries its discount factor, present value and the
+ * cumulative present value, which sums to the bond price at maturity.
+ * The schedule starts at settlement; `time` is measured in periods from
+ * settlement, so between coupon dates the first coupon follows a stub period.
+ * Flows are discounted at the periodic yield unless per-period discount
+ * factors (e.g., from a spot curve) are given. Coupons accrue on the principal
+ * outstanding at the start of each period; `outstandingPrincipal` is the
+ * balance left after the period's repayment. A floating-rate note passes its
+ * projected coupon for each period as `coupons`.
  * @param {Object} params - Bond parameters and calculated values
  * @returns {Array} Array of cash flow objects
  */
-export function generateCashFlows({ faceValue, frequency, years, periodicCoupon, bondPrice }) {
+export function generateCashFlows({
+  faceValue,
+  frequency,
+  years,
+  periodicCoupon,
+  periodicYield,
+  bondPrice,
+  accrualFraction = 0,
+  discountFactors = null,
+  principal = null,
+  coupons = null
+}) {
   const periods = years * frequency;
+  const flows = scheduledFlows(faceValue, coupons || periodicCoupon, principal || bulletPrincipal(faceValue, periods));
   const cashFlows = [];
   
-  // Initial purchase (negative cash flow at t=0)
+  // Initial purchase (negative cash flow at t=0); already a present value,
+  // so it is not part of the cumulative PV of future flows
   cashFlows.push({
     period: 0,
+    time: 0,
     yearLabel: 0,
     couponPayment: 0,
     principalPayment: -bondPrice,
-    totalCashFlow: -bondPrice
+    totalCashFlow: -bondPrice,
+    discountFactor: 1,
+    pvCoupon: 0,
+    pvPrincipal: -bondPrice,
+    presentValue: -bondPrice,
+    cumulativePV: 0,
+    outstandingPrincipal: faceValue
   });
   
   // Periodic cash flows
-  for (let t = 1; t <= periods; t++) {
-    const couponPayment = periodicCoupon;
-    const principalPayment = (t === periods) ? faceValue : 0;
+  let cumulativePV = 0;
+  flows.forEach(({ coupon: couponPayment, principal: principalPayment, balance }, index) => {
+    const t = index + 1;
     const totalCashFlow = couponPayment + principalPayment;
     
+    // Discount each flow from settlement
+    const time = t - accrualFraction;
+    const discountFactor = discountFactors
+      ? discountFactors[t - 1]
+      : 1 / Math.pow(1 + periodicYield, time);
+    const pvCoupon = couponPayment * discountFactor;
+    const pvPrincipal = principalPayment * discountFactor;
+    const presentValue = pvCoupon + pvPrincipal;
+    cumulativePV += presentValue;
+    
     cashFlows.push({
       period: t,
-      yearLabel: t / frequency,
+      time,
+      yearLabel: time / frequency,
       couponPayment,
       principalPayment,
-      totalCashFlow
+      totalCashFlow,
+      discountFactor,
+      pvCoupon,
+      pvPrincipal,
+      presentValue,
+      cumulativePV,
+      outstandingPrincipal: balance
     });
-  }
+  });
   
   return cashFlows;
 }
@@ -108,37 +605,610 @@ export function analyzeBondType(bondPrice, faceValue, tolerance = 0.01) {
   }
 }
 
+/**
+ * Present value of the future cash flows in a schedule (excludes t=0)
+ * @param {Array} cashFlows - Cash flow schedule from generateCashFlows
+ * @param {number} periodicYield - Yield per period (decimal)
+ * @returns {number} Present value
+ */
+function presentValue(cashFlows, periodicYield) {
+  return cashFlows
+    .filter(cf => cf.period > 0)
+    .reduce((sum, cf) => sum + cf.totalCashFlow / Math.pow(1 + periodicYield, cf.time), 0);
+}
+
+/**
+ * Calculate interest rate risk measures from the cash flow schedule
+ * Durations are in years; convexity is annualized.
+ * @param {Array} cashFlows - Cash flow schedule from generateCashFlows
+ * @param {number} periodicYield - Yield per period (decimal)
+ * @param {number} frequency - Payment frequency per year
+ * @param {number} yieldShift - Annual yield change used for the approximations (decimal)
+ * @returns {Object} Duration and convexity measures
+ */
+export function calculateRiskMeasures(cashFlows, periodicYield, frequency, yieldShift = 0.0001) {
+  const futureFlows = cashFlows.filter(cf => cf.period > 0);
+  const price = presentValue(cashFlows, periodicYield);
+  
+  // Weighted sums of discounted cash flows (in periods from settlement)
+  let weightedTime = 0;
+  let weightedConvexity = 0;
+  futureFlows.forEach(({ time, totalCashFlow }) => {
+    const pv = totalCashFlow / Math.pow(1 + periodicYield, time);
+    weightedTime += time * pv;
+    weightedConvexity += time * (time + 1) * pv;
+  });
+  
+  const macaulayDuration = weightedTime / price / frequency;
+  const modifiedDuration = macaulayDuration / (1 + periodicYield);
+  const convexity = weightedConvexity /
+    (price * Math.pow(1 + periodicYield, 2) * frequency * frequency);
+  const moneyDuration = modifiedDuration * price;
+  
+  // Reprice with the yield shifted down and up
+  const periodicShift = yieldShift / frequency;
+  const priceDown = presentValue(cashFlows, periodicYield - periodicShift);
+  const priceUp = presentValue(cashFlows, periodicYield + periodicShift);
+  
+  const approximateDuration = (priceDown - priceUp) / (2 * yieldShift * price);
+  const approximateConvexity = (priceDown + priceUp - 2 * price) /
+    (yieldShift * yieldShift * price);
+  
+  // PVBP always uses a one basis point shift
+  const pvbp = (presentValue(cashFlows, periodicYield - 0.0001 / frequency) -
+    presentValue(cashFlows, periodicYield + 0.0001 / frequency)) / 2;
+  
+  return {
+    macaulayDuration,
+    modifiedDuration,
+    moneyDuration,
+    pvbp,
+    approximateDuration,
+    approximateConvexity,
+    convexity,
+    yieldShift
+  };
+}
+
+/**
+ * Calculate interest rate risk measures of a perpetual bond in closed form
+ * With P(r) = (PMT/r) × (1 + r)^w, the modified duration per period is
+ * 1/r − w/(1 + r) and P''/P = 1/r² − w/(1 + r)² + (1/r − w/(1 + r))².
+ * Durations are in years; convexity is annualized.
+ * @param {number} periodicCoupon - Coupon paid each period
+ * @param {number} periodicYield - Yield per period (decimal)
+ * @param {number} frequency - Payment frequency per year
+ * @param {number} accrualFraction - Fraction of the coupon period elapsed at settlement
+ * @param {number} yieldShift - Annual yield change used for the approximations (decimal)
+ * @returns {Object} Duration and convexity measures
+ */
+export function calculatePerpetualRiskMeasures(
+  periodicCoupon,
+  periodicYield,
+  frequency,
+  accrualFraction = 0,
+  yieldShift = 0.0001
+) {
+  const w = accrualFraction;
+  const r = periodicYield;
+  const priceAt = (y) => periodicCoupon / y * Math.pow(1 + y, w);
+  const price = priceAt(r);
+  
+  const slope = 1 / r - w / (1 + r);
+  const curvature = 1 / (r * r) - w / ((1 + r) * (1 + r)) + slope * slope;
+  
+  const modifiedDuration = slope / frequency;
+  const macaulayDuration = modifiedDuration * (1 + r);
+  const convexity = curvature / (frequency * frequency);
+  const moneyDuration = modifiedDuration * price;
+  
+  // Reprice with the yield shifted down and up
+  const periodicShift = yieldShift / frequency;
+  const priceDown = priceAt(r - periodicShift);
+  const priceUp = priceAt(r + periodicShift);
+  
+  const approximateDuration = (priceDown - priceUp) / (2 * yieldShift * price);
+  const approximateConvexity = (priceDown + priceUp - 2 * price) /
+    (yieldShift * yieldShift * price);
+  
+  // PVBP always uses a one basis point shift
+  const pvbp = (priceAt(r - 0.0001 / frequency) - priceAt(r + 0.0001 / frequency)) / 2;
+  
+  return {
+    macaulayDuration,
+    modifiedDuration,
+    moneyDuration,
+    pvbp,
+    approximateDuration,
+    approximateConvexity,
+    convexity,
+    yieldShift
+  };
+}
+
+/**
+ * Generate the price–yield curve around the current yield
+ * Each point compares full repricing with the duration (tangent line) and
+ * duration-plus-convexity estimates of the price. Yields at which the bond
+ * has no finite positive price (a perpetual at or below 0%) are left out.
+ * @param {Object} params - Bond parameters (faceValue, couponRate, ytm, years, frequency, accrualFraction)
+ * @param {Object} riskMeasures - Risk measures at the current yield
+ * @param {number} bondPrice - Price at the current yield
+ * @param {Object} options - Curve options
+ * @param {number} options.range - Yield range either side of the current yield (percentage points)
+ * @param {number} options.step - Yield step between points (percentage points)
+ * @param {Function} options.pricer - Pricing function taking the bond parameters
+ * @returns {Object} Curve points and the index of the current yield
+ */
+export function generatePriceYieldCurve(
+  params,
+  riskMeasures,
+  bondPrice,
+  { range = 3, step = 0.25, pricer = calculateBondPrice } = {}
+) {
+  const { modifiedDuration, convexity } = riskMeasures;
+  const steps = Math.round(range / step);
+  const points = [];
+  let currentIndex = 0;
+  
+  for (let k = -steps; k <= steps; k++) {
+    const ytm = params.ytm + k * step;
+    const change = (k * step) / 100;
+    const { price } = pricer({ ...params, ytm });
+    if (!Number.isFinite(price) || price <= 0) continue;
+    if (k === 0) currentIndex = points.length;
+    
+    const durationEstimate = bondPrice * (1 - modifiedDuration * change);
+    const convexityEstimate = bondPrice *
+      (1 - modifiedDuration * change + 0.5 * convexity * change * change);
+    
+    points.push({ ytm, price, durationEstimate, convexityEstimate });
+  }
+  
+  return { points, currentIndex };
+}
+
+/**
+ * Parallel yield shocks (basis points) in the sensitivity grid
+ */
+export const YIELD_SHOCKS = [-200, -150, -100, -50, -25, 25, 50, 100, 150, 200];
+
+/**
+ * Reprice the bond under parallel yield shocks
+ * Each shock compares the full repricing with the duration and
+ * duration-plus-convexity estimates, as a price and a percentage change from
+ * the current price; the estimates' errors grow with the size of the shock.
+ * Shocks leaving the bond without a finite positive price are left out.
+ * @param {Object} params - Bond parameters (faceValue, couponRate, ytm, years, frequency, accrualFraction)
+ * @param {Object} riskMeasures - Risk measures at the current yield
+ * @param {number} bondPrice - Price at the current yield
+ * @param {Object} options - Grid options
+ * @param {Array<number>} options.shocks - Yield shocks in basis points
+ * @param {Function} options.pricer - Pricing function taking the bond parameters
+ * @returns {Array<Object>} One row per shock with the repriced and estimated prices
+ */
+export function generateYieldShocks(
+  params,
+  riskMeasures,
+  bondPrice,
+  { shocks = YIELD_SHOCKS, pricer = calculateBondPrice } = {}
+) {
+  const { modifiedDuration, convexity } = riskMeasures;
+  const percentChange = (price) => (price / bondPrice - 1) * 100;
+  
+  return shocks
+    .map(shock => {
+      const change = shock / 10000;
+      const ytm = params.ytm + shock / 100;
+      const { price } = pricer({ ...params, ytm });
+      const durationEstimate = bondPrice * (1 - modifiedDuration * change);
+      const convexityEstimate = bondPrice *
+        (1 - modifiedDuration * change + 0.5 * convexity * change * change);
+      
+      return {
+        shock,
+        ytm,
+        price,
+        priceChange: percentChange(price),
+        durationEstimate,
+        durationChange: percentChange(durationEstimate),
+        durationError: durationEstimate - price,
+        convexityEstimate,
+        convexityChange: percentChange(convexityEstimate),
+        convexityError: convexityEstimate - price
+      };
+    })
+    .filter(row => Number.isFinite(row.price) && row.price > 0);
+}
+
+/**
+ * Calculate the constant-yield price path (pull to par)
+ * The carrying value starts at the flat price paid at settlement and is
+ * rolled forward at the yield, unchanged, to each coupon date (effective
+ * interest method): interest income is the value times the periodic yield,
+ * and the coupon received beyond that income amortizes a premium (a coupon
+ * short of it accretes a discount). The accrued interest bought at settlement
+ * comes back with the first coupon and is not income. At each coupon date the
+ * carrying value is the price of the remaining cash flows at that yield, so it
+ * converges to the principal still outstanding.
+ * @param {Object} params - Bond calculations and face value
+ * @param {Array} params.cashFlows - Cash flow schedule from generateCashFlows
+ * @param {number} params.fullPrice - Full price at settlement
+ * @param {number} params.accruedInterest - Accrued interest bought at settlement
+ * @param {number} params.periodicYield - Yield per period, held constant
+ * @param {number} params.accrualFraction - Fraction of the first period elapsed at settlement
+ * @param {number} params.frequency - Payment frequency per year
+ * @param {number} params.faceValue - Face value of the bond
+ * @returns {Array<Object>} One row per period with the opening and closing carrying
+ *   value, interest income, coupon, amortization and principal repaid
+ */
+export function calculatePricePath({
+  cashFlows,
+  fullPrice,
+  accruedInterest,
+  periodicYield,
+  accrualFraction = 0,
+  frequency,
+  faceValue
+}) {
+  // A zero-coupon schedule lists only its redemption; every period still accrues
+  const byPeriod = new Map(cashFlows.map(cf => [cf.period, cf]));
+  const lastPeriod = cashFlows[cashFlows.length - 1].period;
+  const rows = [];
+  let fullValue = fullPrice;
+  let outstanding = faceValue;
+  
+  for (let period = 1; period <= lastPeriod; period++) {
+    const flow = byPeriod.get(period);
+    const coupon = flow ? flow.couponPayment : 0;
+    const principal = flow ? flow.principalPayment : 0;
+    const accrued = period === 1 ? accruedInterest : 0;
+    
+    // The first period is a stub of (1 − w) periods from settlement
+    const growth = Math.pow(1 + periodicYield, period === 1 ? 1 - accrualFraction : 1);
+    const openingValue = fullValue - accrued;
+    const interestIncome = fullValue * (growth - 1);
+    fullValue = fullValue * growth - coupon - principal;
+    outstanding -= principal;
+    
+    // Clear floating-point residue once the bond is repaid
+    if (Math.abs(fullValue) < faceValue * 1e-9) fullValue = 0;
+    if (Math.abs(outstanding) < faceValue * 1e-12) outstanding = 0;
+    
+    rows.push({
+      period,
+      yearLabel: (period - accrualFraction) / frequency,
+      openingValue,
+      interestIncome,
+      coupon,
+      amortization: coupon - accrued - interestIncome,
+      principal,
+      closingValue: fullValue,
+      outstandingPrincipal: outstanding
+    });
+  }
+  
+  return rows;
+}
+
+/**
+ * Calculate all metrics of a perpetual bond
+ * The schedule shows only the first PERPETUAL_DISPLAY_PERIODS coupons; the
+ * present value of the coupons after them (the tail) is attached as `truncation`.
+ * @param {Object} params - Bond parameters (faceValue, couponRate, ytm, frequency, accrualFraction)
+ * @returns {Object} Complete bond calculations
+ */
+function calculatePerpetualMetrics({ faceValue, couponRate, ytm, frequency, accrualFraction = 0 }) {
+  const priceData = calculatePerpetualPrice({ faceValue, couponRate, ytm, frequency, accrualFraction });
+  
+  // No principal is ever repaid, so the truncated schedule has coupons only
+  const cashFlows = generateCashFlows({
+    faceValue,
+    frequency,
+    years: PERPETUAL_DISPLAY_PERIODS / frequency,
+    periodicCoupon: priceData.periodicCoupon,
+    periodicYield: priceData.periodicYield,
+    bondPrice: priceData.price,
+    accrualFraction,
+    principal: new Array(PERPETUAL_DISPLAY_PERIODS).fill(0)
+  });
+  const pvShown = cashFlows[cashFlows.length - 1].cumulativePV;
+  
+  const riskMeasures = calculatePerpetualRiskMeasures(
+    priceData.periodicCoupon,
+    priceData.periodicYield,
+    frequency,
+    accrualFraction
+  );
+  
+  const priceYieldCurve = generatePriceYieldCurve(
+    { faceValue, couponRate, ytm, frequency, accrualFraction },
+    riskMeasures,
+    priceData.price,
+    { pricer: calculatePerpetualPrice }
+  );
+  
+  // Full repricing against the estimates under parallel shocks
+  const yieldShocks = generateYieldShocks(
+    { faceValue, couponRate, ytm, frequency, accrualFraction },
+    riskMeasures,
+    priceData.price,
+    { pricer: calculatePerpetualPrice }
+  );
+  
+  return {
+    bondPrice: priceData.price,
+    fullPrice: priceData.price,
+    accruedInterest: priceData.accruedInterest,
+    flatPrice: priceData.flatPrice,
+    accrualFraction,
+    pvCoupons: priceData.pvCoupons,
+    pvFaceValue: priceData.pvFaceValue,
+    periodicCoupon: priceData.periodicCoupon,
+    periodicYield: priceData.periodicYield,
+    periods: priceData.periods,
+    cashFlows,
+    bondType: analyzeBondType(priceData.flatPrice, faceValue),
+    riskMeasures,
+    priceYieldCurve,
+    yieldShocks,
+    truncation: {
+      shownPeriods: PERPETUAL_DISPLAY_PERIODS,
+      pvShown,
+      pvTail: priceData.price - pvShown
+    }
+  };
+}
+
 /**
  * Calculate all bond metrics
+ * A zero-coupon bond keeps only the purchase and the redemption in its schedule;
+ * a perpetual bond is priced in closed form with a truncated schedule; an
+ * amortizing bond repays principal on its amortization schedule; a floating-rate
+ * note pays the projected coupons passed as `coupons`.
  * @param {Object} params - Bond parameters from state
  * @returns {Object} Complete bond calculations
  */
 export function calculateBondMetrics(params) {
-  const { faceValue, couponRate, ytm, years, frequency } = params;
+  const { faceValue, couponRate, ytm, years, frequency, accrualFraction = 0, discountFactors = null } = params;
+  const structure = params.structure || 'coupon';
+  
+  if (structure === 'perpetual') {
+    return { ...calculatePerpetualMetrics(params), structure };
+  }
+  
+  const principal = params.principal || amortizationSchedule({
+    structure,
+    faceValue,
+    couponRate,
+    periods: years * frequency,
+    frequency,
+    sinkingFund: params.sinkingFund
+  });
+  
+  // Projected coupons of a floating-rate note, one per period
+  const coupons = params.coupons || null;
   
   // Calculate bond price components
-  const priceData = calculateBondPrice({ faceValue, couponRate, ytm, years, frequency });
+  const priceData = calculateBondPrice({ faceValue, couponRate, ytm, years, frequency, accrualFraction, principal, coupons });
   
   // Generate cash flow schedule
-  const cashFlows = generateCashFlows({
+  const schedule = generateCashFlows({
     faceValue,
     frequency,
     years,
     periodicCoupon: priceData.periodicCoupon,
-    bondPrice: priceData.price
+    periodicYield: priceData.periodicYield,
+    bondPrice: priceData.price,
+    accrualFraction,
+    discountFactors,
+    principal,
+    coupons
   });
   
-  // Analyze bond type
-  const bondType = analyzeBondType(priceData.price, faceValue);
+  // A zero-coupon bond has no interim flows, only the redemption at maturity
+  const cashFlows = structure === 'zero'
+    ? schedule.filter(cf => cf.period === 0 || cf.period === priceData.periods)
+    : schedule;
+  
+  // Analyze bond type (on the flat price, which does not jump on coupon dates)
+  const bondType = analyzeBondType(priceData.flatPrice, faceValue);
+  
+  // Duration and convexity
+  const riskMeasures = calculateRiskMeasures(cashFlows, priceData.periodicYield, frequency);
+  
+  // Price–yield curve around the current yield
+  const priceYieldCurve = generatePriceYieldCurve(
+    { faceValue, couponRate, ytm, years, frequency, accrualFraction, principal, coupons },
+    riskMeasures,
+    priceData.price
+  );
+  
+  // Full repricing against the estimates under parallel shocks
+  const yieldShocks = generateYieldShocks(
+    { faceValue, couponRate, ytm, years, frequency, accrualFraction, principal, coupons },
+    riskMeasures,
+    priceData.price
+  );
   
   return {
     bondPrice: priceData.price,
+    fullPrice: priceData.price,
+    accruedInterest: priceData.accruedInterest,
+    flatPrice: priceData.flatPrice,
+    accrualFraction,
     pvCoupons: priceData.pvCoupons,
     pvFaceValue: priceData.pvFaceValue,
     periodicCoupon: priceData.periodicCoupon,
     periodicYield: priceData.periodicYield,
     periods: priceData.periods,
     cashFlows,
-    bondType
+    bondType,
+    riskMeasures,
+    priceYieldCurve,
+    yieldShocks,
+    structure
   };
 }
+
+/**
+ * Calculate all bond metrics from a set of inputs
+ * When solving for yield-to-maturity, the YTM is first solved from the price
+ * (a flat price quoted per 100 of par) and the solution is attached as `solvedYield`.
+ * When pricing off a spot curve, the price comes from the curve and the implied
+ * YTM is solved from it; the curve pricing is attached as `spotPricing`.
+ * The coupon period containing settlement is attached as `settlement`.
+ * A zero-coupon structure ignores the coupon rate; a perpetual structure
+ * ignores the maturity and cannot be priced off a spot curve; amortizing
+ * structures repay principal on their schedule (a sinking fund per `sinkingFund`).
+ * A floating-rate note is priced from its reference rates and margins, and the
+ * yield is the single rate giving that price; the note pricing is attached as `floating`.
+ * @param {Object} inputs - Bond inputs (structure, couponRate, ytm, years, frequency, faceValue,
+ *   price, solveFor, lastCouponDate, settlementDate, dayCount, pricingMode, spotRates, sinkingFund,
+ *   referenceRate, referencePath, referenceRates, quotedMargin, discountMargin)
+ * @returns {Object} Complete bond calculations
+ */
+export function calculateFromInputs(inputs) {
+  const { faceValue, years, frequency, price, solveFor, pricingMode, spotRates } = inputs;
+  const structure = inputs.structure || 'coupon';
+  const couponRate = structure === 'zero' ? 0 : inputs.couponRate;
+  const settlement = couponPeriod({
+    convention: inputs.dayCount,
+    lastCouponDate: parseDate(inputs.lastCouponDate),
+    settlementDate: parseDate(inputs.settlementDate),
+    frequency
+  });
+  const { fraction } = settlement;
+  let { ytm } = inputs;
+  let solvedYield = null;
+  let spotPricing = null;
+  let floating = null;
+  
+  if (pricingMode === 'spot' && structure === 'perpetual') {
+    throw new Error('Spot curve pricing needs a bond with a finite maturity');
+  }
+  if (structure === 'frn' && (pricingMode === 'spot' || solveFor === 'ytm')) {
+    throw new Error('A floating-rate note is priced from its discount margin');
+  }
+  
+  const principal = structure === 'perpetual'
+    ? null
+    : amortizationSchedule({
+      structure,
+      faceValue,
+      couponRate,
+      periods: years * frequency,
+      frequency,
+      sinkingFund: inputs.sinkingFund
+    });
+  
+  if (structure === 'frn') {
+    // Reference rates plus margins set the coupons and the discount rates
+    floating = calculateFloatingPrice({
+      faceValue,
+      years,
+      frequency,
+      referenceRates: inputs.referencePath === 'custom'
+        ? inputs.referenceRates
+        : new Array(years * frequency).fill(inputs.referenceRate),
+      quotedMargin: inputs.quotedMargin,
+      discountMargin: inputs.discountMargin,
+      accrualFraction: fraction
+    });
+    
+    solvedYield = solveYieldToMaturity({
+      faceValue,
+      couponRate,
+      price: floating.price,
+      years,
+      frequency,
+      accrualFraction: fraction,
+      principal,
+      coupons: floating.coupons
+    });
+    
+    if (!solvedYield.converged) {
+      throw new Error(`YTM solver did not converge after ${solvedYield.iterations} iterations`);
+    }
+    
+    ytm = solvedYield.ytm;
+  } else if (pricingMode === 'spot') {
+    // Curve mode: price off the spot rates, then find the single yield giving that price
+    spotPricing = calculateSpotPrice({
+      faceValue,
+      couponRate,
+      years,
+      frequency,
+      spotRates,
+      accrualFraction: fraction,
+      principal
+    });
+    spotPricing.spotRates = spotRates.slice(0, spotPricing.periods);
+    
+    solvedYield = solveYieldToMaturity({
+      faceValue,
+      couponRate,
+      price: spotPricing.price,
+      years,
+      frequency,
+      accrualFraction: fraction,
+      principal
+    });
+    
+    if (!solvedYield.converged) {
+      throw new Error(`YTM solver did not converge after ${solvedYield.iterations} iterations`);
+    }
+    
+    ytm = solvedYield.ytm;
+  } else if (solveFor === 'ytm') {
+    // Reverse mode: solve the yield implied by the entered price
+    // The quote is flat; the buyer pays the full price including accrued interest
+    const accruedInterest = fraction * faceValue * couponRate / 100 / frequency;
+    const solve = structure === 'perpetual' ? solvePerpetualYield : solveYieldToMaturity;
+    
+    solvedYield = solve({
+      faceValue,
+      couponRate,
+      price: price * faceValue / 100 + accruedInterest,
+      years,
+      frequency,
+      accrualFraction: fraction,
+      principal
+    });
+    
+    if (!solvedYield.converged) {
+      throw new Error(`YTM solver did not converge after ${solvedYield.iterations} iterations`);
+    }
+    
+    ytm = solvedYield.ytm;
+  }
+  
+  // Curve and floating-rate pricing discount each period at its own rate
+  const discounted = spotPricing || floating;
+  
+  const calculations = calculateBondMetrics({
+    structure,
+    faceValue,
+    couponRate,
+    ytm,
+    years,
+    frequency,
+    accrualFraction: fraction,
+    discountFactors: discounted ? discounted.discountFactors : null,
+    principal,
+    coupons: floating ? floating.coupons : null
+  });
+  calculations.ytm = ytm;
+  calculations.solvedYield = solvedYield;
+  calculations.spotPricing = spotPricing;
+  calculations.floating = floating;
+  calculations.settlement = settlement;
+  
+  // Split the price by the present values actually discounted
+  if (discounted) {
+    calculations.pvCoupons = discounted.pvCoupons;
+    calculations.pvFaceValue = discounted.pvFaceValue;
+  }
+  
+  return calculations;
+}
@@ -3,26 +3,46 @@
  * Chart rendering using Chart.js with keyboard accessibility
  */
 
-import { formatCurrency } from './utils.js';
+import { formatCurrency, formatYears, formatBasisPoints } from './utils.js';
+import { horizonShiftLabel } from './horizon.js';
 
 // CFA Brand Colors (WCAG AA verified)
 const COLORS = {
   coupon: '#3369FF',      // 4.55:1 contrast
   mint: '#49b2b8',
   purchase: '#f2af81',
-  darkText: '#06005a'
+  darkText: '#06005a',
+  pvCoupon: '#1d3fa8',
+  pvPrincipal: '#32959a',
+  tangent: '#b95b1d',
+  convexity: '#7a46ff'
 };
 
-let chartInstance = null;
-let currentFocusIndex = 0;
+// Scenario overlay colors: distinct hues, each at least 3:1 against white
+const SCENARIO_COLORS = ['#3369FF', '#b95b1d', '#32959a', '#7a46ff', '#c2185b', '#06005a'];
+
+// Chart instance, keyboard focus position and tooltip datasets per chart view
+const cashFlowView = { chart: null, focusIndex: 0, tooltipDatasets: [0, 1] };
+const priceYieldView = { chart: null, focusIndex: 0, tooltipDatasets: [0, 1, 2] };
+const termStructureView = { chart: null, focusIndex: 0, tooltipDatasets: [0, 1, 2] };
+const horizonView = { chart: null, focusIndex: 0, tooltipDatasets: [0, 1, 2] };
+const pricePathView = { chart: null, focusIndex: 0, tooltipDatasets: [0, 1] };
+const yieldShockView = { chart: null, focusIndex: 0, tooltipDatasets: [0, 1] };
+
+// Distance (pixels) from the current-yield dot at which a drag can start
+const DRAG_RADIUS = 16;
+
 let isKeyboardMode = false;
 
 /**
  * Create or update bond cash flow chart
  * @param {Array} cashFlows - Array of cash flow objects
  * @param {boolean} showLabels - Whether to show value labels
+ * @param {string} values - 'nominal', 'pv' (present values in place of
+ *   nominal) or 'both' (present values next to nominal)
+ * @param {boolean} showBalance - Whether to draw the outstanding principal line
  */
-export function renderChart(cashFlows, showLabels = true) {
+export function renderChart(cashFlows, showLabels = true, values = 'nominal', showBalance = false) {
   const canvas = document.getElementById('bond-chart');
   
   if (!canvas) {
@@ -31,70 +51,107 @@ export function renderChart(cashFlows, showLabels = true) {
   }
   
   // Make canvas focusable and add keyboard navigation
- canvas.setAttribute('tabindex', '0');
-canvas.setAttribute('role', 'img');
-canvas.setAttribute('aria-roledescription', 'interactive chart');
-canvas.setAttribute(
-  'aria-label',
-  'Interactive chart. Press Enter to focus, then use arrow keys to explore data points.'
-);
-  // Allow Enter to activate keyboard navigation from wrapper
-const container = canvas.parentElement;
-if (container) {
-  container.addEventListener('keydown', (e) => {
-    if (e.key === 'Enter') {
-      e.preventDefault();
-      canvas.focus();
-    }
-  });
-}
+  makeCanvasFocusable(canvas);
 
   const ctx = canvas.getContext('2d');
   
   // Prepare data for Chart.js
-  const labels = cashFlows.map(cf => cf.yearLabel);
+  const labels = cashFlows.map(cf => formatYears(cf.yearLabel));
 
   
   // Separate coupon and principal data
   const couponData = cashFlows.map(cf => cf.couponPayment);
   const principalData = cashFlows.map(cf => cf.principalPayment);
   
-  // Calculate total for labels
-  const totalData = cashFlows.map(cf => cf.totalCashFlow);
+  // Present values; the purchase at t=0 is already a present value
+  const pvCouponData = cashFlows.map(cf => cf.pvCoupon);
+  const pvPrincipalData = cashFlows.map(cf => cf.pvPrincipal);
+  
+  // Calculate total for labels (labels sit on the first stack)
+  const totalData = cashFlows.map(cf => 
+    values === 'pv' ? cf.presentValue : cf.totalCashFlow
+  );
+  
+  const nominalDatasets = [
+    {
+      label: 'Principal repayment',
+      data: principalData,
+      backgroundColor: principalData.map(val => 
+        val >= 0 ? COLORS.mint : COLORS.purchase
+      ),
+      borderColor: '#333',
+      borderWidth: 1,
+      stack: 'cashflow'
+    },
+    {
+      label: 'Coupon payment',
+      data: couponData,
+      backgroundColor: COLORS.coupon,
+      borderColor: '#333',
+      borderWidth: 1,
+      stack: 'cashflow'
+    }
+  ];
+  
+  const pvDatasets = [
+    {
+      label: 'PV of principal',
+      data: pvPrincipalData,
+      backgroundColor: pvPrincipalData.map(val => 
+        val >= 0 ? COLORS.pvPrincipal : COLORS.purchase
+      ),
+      borderColor: '#333',
+      borderWidth: 1,
+      stack: 'presentValue'
+    },
+    {
+      label: 'PV of coupon',
+      data: pvCouponData,
+      backgroundColor: COLORS.pvCoupon,
+      borderColor: '#333',
+      borderWidth: 1,
+      stack: 'presentValue'
+    }
+  ];
+  
+  let datasets = nominalDatasets;
+  if (values === 'pv') {
+    datasets = pvDatasets;
+  } else if (values === 'both') {
+    datasets = [...nominalDatasets, ...pvDatasets];
+  }
+  
+  // Amortizing bonds: balance left after each payment, drawn over the bars
+  if (showBalance) {
+    datasets = [...datasets, {
+      type: 'line',
+      label: 'Outstanding principal',
+      data: cashFlows.map(cf => cf.outstandingPrincipal),
+      borderColor: COLORS.darkText,
+      backgroundColor: COLORS.darkText,
+      borderWidth: 2,
+      borderDash: [6, 4],
+      pointRadius: 3,
+      fill: false,
+      order: -1
+    }];
+  }
   
   // Destroy existing chart instance
-  if (chartInstance) {
-    chartInstance.destroy();
+  if (cashFlowView.chart) {
+    cashFlowView.chart.destroy();
   }
   
-  // Reset focus index
-  currentFocusIndex = 0;
+  // Reset focus index; tooltips cover every dataset at the index
+  cashFlowView.focusIndex = 0;
+  cashFlowView.tooltipDatasets = datasets.map((dataset, index) => index);
   
   // Create new chart with custom label drawing
-  chartInstance = new Chart(ctx, {
+  cashFlowView.chart = new Chart(ctx, {
     type: 'bar',
     data: {
       labels: labels,
-      datasets: [
-        {
-          label: 'Principal repayment',
-          data: principalData,
-          backgroundColor: principalData.map(val => 
-            val >= 0 ? COLORS.mint : COLORS.purchase
-          ),
-          borderColor: '#333',
-          borderWidth: 1,
-          stack: 'cashflow'
-        },
-        {
-          label: 'Coupon payment',
-          data: couponData,
-          backgroundColor: COLORS.coupon,
-          borderColor: '#333',
-          borderWidth: 1,
-          stack: 'cashflow'
-        }
-      ]
+      datasets: datasets
     },
     options: {
       responsive: true,
@@ -110,7 +167,7 @@ onHover: (event, activeElements) => {
   // Announce hovered data point
   if (activeElements.length > 0) {
     const index = activeElements[0].index;
-    announceDataPoint(cashFlows[index], totalData[index]);
+    announceDataPoint(cashFlows[index], values, showBalance);
   }
 }
 
@@ -126,16 +183,23 @@ onHover: (event, activeElements) => {
           callbacks: {
             title: (context) => {
               const index = context[0].dataIndex;
-              return `Period: ${cashFlows[index].yearLabel} years`;
+              return `Period: ${formatYears(cashFlows[index].yearLabel)} years`;
             },
             label: (context) => {
               const value = context.parsed.y;
               return `${context.dataset.label}: ${formatCurrency(value, true)}`;
             },
             footer: (context) => {
-              const index = context[0].dataIndex;
-              const total = totalData[index];
-              return `Total: ${formatCurrency(total, true)}`;
+              const cashFlow = cashFlows[context[0].dataIndex];
+              const lines = [];
+              if (values !== 'pv') {
+                lines.push(`Total: ${formatCurrency(cashFlow.totalCashFlow, true)}`);
+              }
+              if (values !== 'nominal') {
+                lines.push(`Total PV: ${formatCurrency(cashFlow.presentValue, true)}`);
+                lines.push(`Discount factor: ${cashFlow.discountFactor.toFixed(6)}`);
+              }
+              return lines;
             }
           }
         }
@@ -234,8 +298,9 @@ onHover: (event, activeElements) => {
         ctx.strokeStyle = '#333';
         ctx.lineWidth = 1;
 
-        // Loop through all datasets and bars
+        // Loop through all bar datasets and their bars
         chart.data.datasets.forEach((dataset, datasetIndex) => {
+          if (dataset.type === 'line') return;
           const meta = chart.getDatasetMeta(datasetIndex);
           meta.data.forEach((bar) => {
             // Each bar is a rectangle, with these properties:
@@ -253,195 +318,1271 @@ onHover: (event, activeElements) => {
         ctx.restore();
       }
     },
-    {
-      // Keyboard focus highlight plugin
-      id: 'keyboardFocus',
-      afterDatasetsDraw: (chart) => {
-        if (document.activeElement !== canvas) return;
-        
-        const ctx = chart.ctx;
-        const meta0 = chart.getDatasetMeta(0);
-        const meta1 = chart.getDatasetMeta(1);
-        
-        if (!meta0.data[currentFocusIndex] || !meta1.data[currentFocusIndex]) return;
-        
-        const bar0 = meta0.data[currentFocusIndex];
-        const bar1 = meta1.data[currentFocusIndex];
-        
-        // Find the actual top and bottom of the stacked bars
-        const allYValues = [bar0.y, bar0.base, bar1.y, bar1.base];
-        const topY = Math.min(...allYValues);
-        const bottomY = Math.max(...allYValues);
-        
-        // Draw focus indicator
-        ctx.save();
-        ctx.strokeStyle = COLORS.darkText;
-        ctx.lineWidth = 3;
-        ctx.setLineDash([5, 5]);
-        
-        const x = bar1.x - bar1.width / 2 - 4;
-        const y = topY - 4;
-        const width = bar1.width + 8;
-        const height = bottomY - topY + 8;
-        
-        ctx.strokeRect(x, y, width, height);
-        ctx.restore();
-      }
-    }
+    barFocusPlugin(canvas)
   ]
   });
   
   // Add keyboard navigation
-  setupKeyboardNavigation(canvas, cashFlows, totalData);
+  setupKeyboardNavigation(canvas, cashFlowView, cashFlows.length, (index) => {
+    announceDataPoint(cashFlows[index], values, showBalance);
+  });
 }
 
 /**
- * Setup keyboard navigation for the chart
- * @param {HTMLCanvasElement} canvas - The chart canvas
- * @param {Array} cashFlows - Array of cash flow objects
- * @param {Array} totalData - Array of total values
+ * Overlay the cash flow profiles of several bond scenarios
+ * Bars are grouped by payment time; a scenario with no payment at a time
+ * has no bar there.
+ * @param {Array} series - Scenarios to plot ({ name, cashFlows })
  */
-function setupKeyboardNavigation(canvas, cashFlows, totalData) {
-  // Remove existing listeners to avoid duplicates
-  const oldListener = canvas._keydownListener;
-  if (oldListener) {
-    canvas.removeEventListener('keydown', oldListener);
+export function renderScenarioChart(series) {
+  const canvas = document.getElementById('bond-chart');
+  
+  if (!canvas) {
+    console.error('Chart canvas not found');
+    return;
   }
   
-  // Create new listener
-  const keydownListener = (e) => {
-    const maxIndex = cashFlows.length - 1;
-    let newIndex = currentFocusIndex;
-    
-    // Enable keyboard mode on any arrow key press
-    isKeyboardMode = true;
-    
-    switch(e.key) {
-      case 'ArrowRight':
-      case 'ArrowDown':
-        e.preventDefault();
-        newIndex = Math.min(currentFocusIndex + 1, maxIndex);
-        break;
-      case 'ArrowLeft':
-      case 'ArrowUp':
-        e.preventDefault();
-        newIndex = Math.max(currentFocusIndex - 1, 0);
-        break;
-      case 'Home':
-        e.preventDefault();
-        newIndex = 0;
-        break;
-      case 'End':
-        e.preventDefault();
-        newIndex = maxIndex;
-        break;
-      default:
-        return;
-    }
-    
-    if (newIndex !== currentFocusIndex) {
-      currentFocusIndex = newIndex;
-      chartInstance.update('none'); // Update without animation
-      announceDataPoint(cashFlows[currentFocusIndex], totalData[currentFocusIndex]);
-      
-      // Show tooltip at focused bar
-      showTooltipAtIndex(currentFocusIndex);
-    }
-  };
+  makeCanvasFocusable(canvas);
   
-  // Store listener reference for cleanup
-  canvas._keydownListener = keydownListener;
-  canvas.addEventListener('keydown', keydownListener);
+  const ctx = canvas.getContext('2d');
   
-  // Focus handler to redraw focus indicator and show initial tooltip
-  const focusListener = () => {
-    isKeyboardMode = true;
-    showTooltipAtIndex(currentFocusIndex);
-    announceDataPoint(cashFlows[currentFocusIndex], totalData[currentFocusIndex]);
-  };
+  // Union of payment times across all scenarios
+  const times = [...new Set(
+    series.flatMap(({ cashFlows }) => cashFlows.map(cf => cf.yearLabel))
+  )].sort((a, b) => a - b);
   
-  const blurListener = () => {
-    chartInstance.tooltip.setActiveElements([], {x: 0, y: 0});
-    chartInstance.update('none');
-  };
+  const datasets = series.map(({ name, cashFlows }, index) => {
+    const totals = new Map(cashFlows.map(cf => [cf.yearLabel, cf.totalCashFlow]));
+    
+    return {
+      label: name,
+      data: times.map(time => totals.has(time) ? totals.get(time) : null),
+      backgroundColor: scenarioColor(index),
+      borderColor: '#333',
+      borderWidth: 1
+    };
+  });
   
-  canvas._focusListener = focusListener;
-  canvas._blurListener = blurListener;
-  canvas.addEventListener('focus', focusListener);
-  canvas.addEventListener('blur', blurListener);
+  if (cashFlowView.chart) {
+    cashFlowView.chart.destroy();
+  }
   
-  // Disable keyboard mode when mouse moves over chart
-  const mouseMoveListener = () => {
-    isKeyboardMode = false;
+  cashFlowView.focusIndex = 0;
+  cashFlowView.tooltipDatasets = datasets.map((dataset, index) => index);
+  
+  const announceTime = (index) => {
+    const amounts = datasets.map(dataset => {
+      const value = dataset.data[index];
+      return `${dataset.label}: ${value === null ? 'no payment' : formatCurrency(value, true)}`;
+    });
+    announceToChartRegion(`Period ${formatYears(times[index])} years. ${amounts.join('. ')}.`);
   };
   
-  canvas._mouseMoveListener = mouseMoveListener;
-  canvas.addEventListener('mousemove', mouseMoveListener);
+  cashFlowView.chart = new Chart(ctx, {
+    type: 'bar',
+    data: {
+      labels: times.map(formatYears),
+      datasets: datasets
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: {
+        mode: 'index',
+        intersect: false
+      },
+      onHover: (event, activeElements) => {
+        // Skip if keyboard focus already active
+        if (isKeyboardMode && document.activeElement === canvas) return;
+        
+        if (activeElements.length > 0) {
+          announceTime(activeElements[0].index);
+        }
+      },
+      plugins: {
+        legend: {
+          display: false // Using custom legend in HTML
+        },
+        tooltip: {
+          filter: (item) => item.parsed.y !== null,
+          callbacks: {
+            title: (context) => `Period: ${formatYears(times[context[0].dataIndex])} years`,
+            label: (context) => `${context.dataset.label}: ${formatCurrency(context.parsed.y, true)}`
+          }
+        }
+      },
+      scales: {
+        x: {
+          title: {
+            display: true,
+            text: 'Years'
+          },
+          grid: {
+            display: false
+          }
+        },
+        y: {
+          ticks: {
+            callback: (value) => formatCurrency(value)
+          },
+          grid: {
+            color: 'rgba(0, 0, 0, 0.05)'
+          }
+        }
+      },
+      layout: {
+        padding: {
+          left: 20,
+          right: 30,
+          top: 20,
+          bottom: 60
+        }
+      }
+    },
+    plugins: [barFocusPlugin(canvas)]
+  });
+  
+  setupKeyboardNavigation(canvas, cashFlowView, times.length, announceTime);
 }
 
 /**
- * Show tooltip at a specific data index
- * @param {number} index - Data point index
+ * Color for a scenario in the overlay chart and its legend
+ * @param {number} index - Scenario position
+ * @returns {string} Hex color
  */
-function showTooltipAtIndex(index) {
-  if (!chartInstance) return;
-  
-  const meta0 = chartInstance.getDatasetMeta(0);
-  const meta1 = chartInstance.getDatasetMeta(1);
-  
-  if (!meta0.data[index] || !meta1.data[index]) return;
-  
-  // Set active elements for both datasets at this index
-  chartInstance.tooltip.setActiveElements([
-    {datasetIndex: 0, index: index},
-    {datasetIndex: 1, index: index}
-  ], {
-    x: meta1.data[index].x,
-    y: meta1.data[index].y
-  });
-  
-  chartInstance.update('none');
+export function scenarioColor(index) {
+  return SCENARIO_COLORS[index % SCENARIO_COLORS.length];
 }
 
 /**
- * Announce data point for screen readers
- * @param {Object} cashFlow - Cash flow object
- * @param {number} total - Total cash flow
+ * Create the keyboard focus highlight plugin for bar charts
+ * Outlines every bar drawn at the focused index (stacked or grouped).
+ * @param {HTMLCanvasElement} canvas - The chart canvas
+ * @param {Object} view - Chart view holding the focus index
+ * @returns {Object} Chart.js plugin
  */
-function announceDataPoint(cashFlow, total) {
-  // Create or update live region for screen reader announcements
-  let liveRegion = document.getElementById('chart-live-region');
-  if (!liveRegion) {
-    liveRegion = document.createElement('div');
-    liveRegion.id = 'chart-live-region';
-    liveRegion.setAttribute('aria-live', 'polite');
-    liveRegion.setAttribute('aria-atomic', 'true');
-    liveRegion.className = 'sr-only';
-    document.body.appendChild(liveRegion);
-  }
-  
-  const announcement = `Period ${cashFlow.yearLabel} years. ` +
-    `Coupon payment: ${formatCurrency(cashFlow.couponPayment, true)}. ` +
-    `Principal repayment: ${formatCurrency(cashFlow.principalPayment, true)}. ` +
-    `Total: ${formatCurrency(total, true)}.`;
-  
-  liveRegion.textContent = announcement;
+function barFocusPlugin(canvas, view = cashFlowView) {
+  return {
+    id: 'keyboardFocus',
+    afterDatasetsDraw: (chart) => {
+      if (document.activeElement !== canvas) return;
+      
+      const ctx = chart.ctx;
+      const bars = chart.data.datasets
+        .map((dataset, datasetIndex) =>
+          chart.getDatasetMeta(datasetIndex).data[view.focusIndex]
+        )
+        .filter(bar => bar && Number.isFinite(bar.y) && Number.isFinite(bar.base));
+      
+      if (bars.length === 0) return;
+      
+      // Find the actual extent of the bars at this index
+      const allYValues = bars.flatMap(bar => [bar.y, bar.base]);
+      const topY = Math.min(...allYValues);
+      const bottomY = Math.max(...allYValues);
+      const leftX = Math.min(...bars.map(bar => bar.x - bar.width / 2));
+      const rightX = Math.max(...bars.map(bar => bar.x + bar.width / 2));
+      
+      // Draw focus indicator
+      ctx.save();
+      ctx.strokeStyle = COLORS.darkText;
+      ctx.lineWidth = 3;
+      ctx.setLineDash([5, 5]);
+      
+      const x = leftX - 4;
+      const y = topY - 4;
+      const width = rightX - leftX + 8;
+      const height = bottomY - topY + 8;
+      
+      ctx.strokeRect(x, y, width, height);
+      ctx.restore();
+    }
+  };
 }
 
 /**
- * Update chart visibility based on window width
- * @returns {boolean} True if labels should be shown
+ * Create or update the price–yield curve chart
+ * An existing chart is updated in place, so dragging redraws it without
+ * rebuilding it. While the current-yield dot is being dragged the axes stay
+ * where they were when the drag began, so the curve moves under the pointer
+ * instead of the scale moving with it.
+ * @param {Object} curve - Curve from generatePriceYieldCurve
+ * @param {Array} curve.points - Points with ytm, price and the two estimates
+ * @param {number} curve.currentIndex - Index of the current yield
+ * @param {Object} options - Interaction options
+ * @param {Function|null} options.onDrag - Called with the yield the dot is
+ *   dragged to; null when the yield cannot be changed on the chart
  */
-export function shouldShowLabels() {
-  return window.innerWidth > 860;
+export function renderPriceYieldChart(curve, options = {}) {
+  const { points, currentIndex } = curve;
+  const { onDrag = null } = options;
+  const { drag } = priceYieldView;
+  const canvas = document.getElementById('price-yield-chart');
+  
+  if (!canvas) {
+    console.error('Price–yield chart canvas not found');
+    return;
+  }
+  
+  makeCanvasFocusable(canvas);
+  
+  const ctx = canvas.getContext('2d');
+  const current = points[currentIndex];
+  
+  // Keyboard exploration starts at the current yield
+  priceYieldView.focusIndex = currentIndex;
+  
+  const toXY = (key) => points.map(point => ({ x: point.ytm, y: point[key] }));
+  const datasetData = [
+    toXY('price'),
+    toXY('durationEstimate'),
+    toXY('convexityEstimate'),
+    [{ x: current.ytm, y: current.price }]
+  ];
+  
+  // Kept for redrawing with free axes when a drag ends, and read by the
+  // chart's hover and tooltip callbacks
+  priceYieldView.curve = curve;
+  priceYieldView.options = options;
+  
+  const { chart } = priceYieldView;
+  if (chart && chart.canvas === canvas) {
+    datasetData.forEach((data, index) => {
+      chart.data.datasets[index].data = data;
+    });
+    Object.assign(chart.options.scales.x, {
+      min: drag ? drag.xMin : undefined,
+      max: drag ? drag.xMax : undefined
+    });
+    Object.assign(chart.options.scales.y, {
+      min: drag ? drag.yMin : undefined,
+      max: drag ? drag.yMax : undefined
+    });
+    chart.update('none');
+  } else {
+    if (chart) {
+      chart.destroy();
+    }
+    priceYieldView.chart = createPriceYieldChart(ctx, canvas, datasetData, drag);
+  }
+  
+  setupKeyboardNavigation(canvas, priceYieldView, points.length, (index) => {
+    announceCurvePoint(priceYieldView.curve.points[index]);
+  });
+  
+  setupYieldDrag(canvas, onDrag);
 }
 
 /**
- * Cleanup chart resources
+ * Create the price–yield curve chart
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {HTMLCanvasElement} canvas - The price–yield chart canvas
+ * @param {Array<Array>} datasetData - Points of the price, the two estimates
+ *   and the current-yield dot
+ * @param {Object|null} drag - Axis limits held during a drag
+ * @returns {Chart} Chart instance
  */
-export function destroyChart() {
-  if (chartInstance) {
-    chartInstance.destroy();
-    chartInstance = null;
-  }
+function createPriceYieldChart(ctx, canvas, datasetData, drag) {
+  return new Chart(ctx, {
+    type: 'line',
+    data: {
+      datasets: [
+        {
+          label: 'Price',
+          data: datasetData[0],
+          borderColor: COLORS.coupon,
+          backgroundColor: COLORS.coupon,
+          borderWidth: 3,
+          pointRadius: 0,
+          pointHoverRadius: 4
+        },
+        {
+          label: 'Duration estimate',
+          data: datasetData[1],
+          borderColor: COLORS.tangent,
+          backgroundColor: COLORS.tangent,
+          borderWidth: 2,
+          borderDash: [8, 4],
+          pointRadius: 0,
+          pointHoverRadius: 3
+        },
+        {
+          label: 'Duration + convexity estimate',
+          data: datasetData[2],
+          borderColor: COLORS.convexity,
+          backgroundColor: COLORS.convexity,
+          borderWidth: 2,
+          borderDash: [2, 3],
+          pointRadius: 0,
+          pointHoverRadius: 3
+        },
+        {
+          label: 'Current yield',
+          data: datasetData[3],
+          borderColor: COLORS.darkText,
+          backgroundColor: COLORS.darkText,
+          pointRadius: 6,
+          pointHoverRadius: 6,
+          showLine: false
+        }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      // Redraw at once while dragging so the dot keeps up with the pointer
+      animation: drag ? false : undefined,
+      interaction: {
+        mode: 'index',
+        intersect: false
+      },
+      onHover: (event, activeElements) => {
+        // Skip if keyboard focus already active
+        if (isKeyboardMode && document.activeElement === canvas) return;
+        
+        const hovered = activeElements.find(el => el.datasetIndex === 0);
+        if (hovered) {
+          announceCurvePoint(priceYieldView.curve.points[hovered.index]);
+        }
+      },
+      plugins: {
+        legend: {
+          display: false // Using custom legend in HTML
+        },
+        tooltip: {
+          filter: (item) => item.datasetIndex < 3,
+          callbacks: {
+            title: (context) => `YTM: ${context[0].parsed.x.toFixed(2)}%`,
+            label: (context) => `${context.dataset.label}: ${formatCurrency(context.parsed.y)}`,
+            footer: (context) => {
+              const point = priceYieldView.curve.points[context[0].dataIndex];
+              return `Convexity error of duration estimate: ${formatCurrency(point.price - point.durationEstimate)}`;
+            }
+          }
+        }
+      },
+      scales: {
+        x: {
+          type: 'linear',
+          min: drag ? drag.xMin : undefined,
+          max: drag ? drag.xMax : undefined,
+          title: {
+            display: true,
+            text: 'Yield-to-maturity (%)'
+          },
+          ticks: {
+            callback: (value) => `${value}%`
+          },
+          grid: {
+            display: false
+          }
+        },
+        y: {
+          min: drag ? drag.yMin : undefined,
+          max: drag ? drag.yMax : undefined,
+          title: {
+            display: true,
+            text: 'Price'
+          },
+          ticks: {
+            callback: (value) => formatCurrency(value)
+          },
+          grid: {
+            color: 'rgba(0, 0, 0, 0.05)'
+          }
+        }
+      },
+      layout: {
+        padding: {
+          left: 20,
+          right: 30,
+          top: 20,
+          bottom: 20
+        }
+      }
+    },
+    plugins: [{
+      // Keyboard focus highlight plugin
+      id: 'keyboardFocus',
+      afterDatasetsDraw: (chart) => {
+        if (document.activeElement !== canvas) return;
+        
+        const point = chart.getDatasetMeta(0).data[priceYieldView.focusIndex];
+        if (!point) return;
+        
+        const ctx = chart.ctx;
+        ctx.save();
+        ctx.strokeStyle = COLORS.darkText;
+        ctx.lineWidth = 3;
+        ctx.setLineDash([5, 5]);
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, 10, 0, 2 * Math.PI);
+        ctx.stroke();
+        ctx.restore();
+      }
+    }]
+  });
+}
+
+/**
+ * Let the current-yield dot on the price–yield chart be dragged along the
+ * yield axis. The yield inputs and sliders remain the keyboard alternative.
+ * @param {HTMLCanvasElement} canvas - The price–yield chart canvas
+ * @param {Function|null} onDrag - Called with the yield under the pointer
+ */
+function setupYieldDrag(canvas, onDrag) {
+  // Remove existing listeners to avoid duplicates
+  ['pointerdown', 'pointermove', 'pointerup', 'pointercancel'].forEach(event => {
+    const key = `_${event}Listener`;
+    if (canvas[key]) {
+      canvas.removeEventListener(event, canvas[key]);
+    }
+  });
+  
+  if (!onDrag) {
+    canvas.style.cursor = '';
+    return;
+  }
+  
+  const pointerPosition = (e) => {
+    const rect = canvas.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  };
+  
+  // The dot can be picked up from within a small radius of its centre
+  const nearDot = ({ x, y }) => {
+    if (!priceYieldView.chart) return false;
+    const dot = priceYieldView.chart.getDatasetMeta(3).data[0];
+    return Boolean(dot) && Math.hypot(dot.x - x, dot.y - y) <= DRAG_RADIUS;
+  };
+  
+  const pointerDownListener = (e) => {
+    if (!nearDot(pointerPosition(e))) return;
+    
+    e.preventDefault();
+    const { x, y } = priceYieldView.chart.scales;
+    priceYieldView.drag = { xMin: x.min, xMax: x.max, yMin: y.min, yMax: y.max };
+    canvas.style.cursor = 'grabbing';
+    if (canvas.setPointerCapture) {
+      canvas.setPointerCapture(e.pointerId);
+    }
+  };
+  
+  const pointerMoveListener = (e) => {
+    const position = pointerPosition(e);
+    
+    if (!priceYieldView.drag) {
+      canvas.style.cursor = nearDot(position) ? 'grab' : '';
+      return;
+    }
+    
+    onDrag(priceYieldView.chart.scales.x.getValueForPixel(position.x));
+  };
+  
+  // Release the axes and redraw the last curve drawn during the drag
+  const pointerUpListener = () => {
+    if (!priceYieldView.drag) return;
+    
+    priceYieldView.drag = null;
+    canvas.style.cursor = '';
+    renderPriceYieldChart(priceYieldView.curve, priceYieldView.options);
+  };
+  
+  // Store listener references for cleanup
+  canvas._pointerdownListener = pointerDownListener;
+  canvas._pointermoveListener = pointerMoveListener;
+  canvas._pointerupListener = pointerUpListener;
+  canvas._pointercancelListener = pointerUpListener;
+  canvas.addEventListener('pointerdown', pointerDownListener);
+  canvas.addEventListener('pointermove', pointerMoveListener);
+  canvas.addEventListener('pointerup', pointerUpListener);
+  canvas.addEventListener('pointercancel', pointerUpListener);
+}
+
+/**
+ * Create or update the yield shock chart: the error of the duration and
+ * duration-plus-convexity estimates against full repricing at each shock
+ * @param {Array} rows - Rows from generateYieldShocks
+ */
+export function renderYieldShockChart(rows) {
+  const canvas = document.getElementById('yield-shock-chart');
+  
+  if (!canvas) {
+    console.error('Yield shock chart canvas not found');
+    return;
+  }
+  
+  makeCanvasFocusable(canvas);
+  
+  const ctx = canvas.getContext('2d');
+  
+  if (yieldShockView.chart) {
+    yieldShockView.chart.destroy();
+  }
+  
+  yieldShockView.focusIndex = Math.min(yieldShockView.focusIndex, rows.length - 1);
+  
+  const errors = (label, key, color) => ({
+    label,
+    data: rows.map(row => row[key]),
+    backgroundColor: color,
+    borderColor: '#333',
+    borderWidth: 1
+  });
+  
+  yieldShockView.chart = new Chart(ctx, {
+    type: 'bar',
+    data: {
+      labels: rows.map(row => formatBasisPoints(row.shock)),
+      datasets: [
+        errors('Duration estimate error', 'durationError', COLORS.tangent),
+        errors('Duration + convexity estimate error', 'convexityError', COLORS.convexity)
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: {
+        mode: 'index',
+        intersect: false
+      },
+      onHover: (event, activeElements) => {
+        // Skip if keyboard focus already active
+        if (isKeyboardMode && document.activeElement === canvas) return;
+        
+        if (activeElements.length > 0) {
+          announceYieldShock(rows[activeElements[0].index]);
+        }
+      },
+      plugins: {
+        legend: {
+          display: false // Using custom legend in HTML
+        },
+        tooltip: {
+          callbacks: {
+            title: (context) => {
+              const row = rows[context[0].dataIndex];
+              return `${formatBasisPoints(row.shock)} (YTM ${row.ytm.toFixed(2)}%)`;
+            },
+            label: (context) => `${context.dataset.label}: ${formatCurrency(context.parsed.y, true, 4)}`,
+            footer: (context) => {
+              const row = rows[context[0].dataIndex];
+              return `Full repricing: ${formatCurrency(row.price)} (${row.priceChange.toFixed(3)}%)`;
+            }
+          }
+        }
+      },
+      scales: {
+        x: {
+          title: {
+            display: true,
+            text: 'Parallel yield shock'
+          },
+          grid: {
+            display: false
+          }
+        },
+        y: {
+          title: {
+            display: true,
+            text: 'Estimate − repriced'
+          },
+          ticks: {
+            callback: (value) => formatCurrency(value)
+          },
+          grid: {
+            color: 'rgba(0, 0, 0, 0.05)'
+          }
+        }
+      },
+      layout: {
+        padding: {
+          left: 20,
+          right: 30,
+          top: 20,
+          bottom: 20
+        }
+      }
+    },
+    plugins: [barFocusPlugin(canvas, yieldShockView)]
+  });
+  
+  setupKeyboardNavigation(canvas, yieldShockView, rows.length, (index) => {
+    announceYieldShock(rows[index]);
+  });
+}
+
+/**
+ * Create or update the term structure chart: par yields, bootstrapped spot
+ * rates and one-period implied forward rates against maturity
+ * @param {Array} rows - Rows from bootstrapTermStructure
+ */
+export function renderTermStructureChart(rows) {
+  const canvas = document.getElementById('term-structure-chart');
+  
+  if (!canvas) {
+    console.error('Term structure chart canvas not found');
+    return;
+  }
+  
+  makeCanvasFocusable(canvas);
+  
+  const ctx = canvas.getContext('2d');
+  
+  if (termStructureView.chart) {
+    termStructureView.chart.destroy();
+  }
+  
+  termStructureView.focusIndex = Math.min(termStructureView.focusIndex, rows.length - 1);
+  
+  const toXY = (key) => rows.map(row => ({ x: row.years, y: row[key] }));
+  
+  termStructureView.chart = new Chart(ctx, {
+    type: 'line',
+    data: {
+      datasets: [
+        {
+          label: 'Par yield',
+          data: toXY('parYield'),
+          borderColor: COLORS.coupon,
+          backgroundColor: COLORS.coupon,
+          borderWidth: 3,
+          pointRadius: 3,
+          pointHoverRadius: 5
+        },
+        {
+          label: 'Spot rate',
+          data: toXY('spotRate'),
+          borderColor: COLORS.tangent,
+          backgroundColor: COLORS.tangent,
+          borderWidth: 2,
+          borderDash: [8, 4],
+          pointRadius: 3,
+          pointHoverRadius: 5
+        },
+        {
+          // Each forward applies over the period ending at its maturity
+          label: 'Forward rate',
+          data: toXY('forwardRate'),
+          borderColor: COLORS.convexity,
+          backgroundColor: COLORS.convexity,
+          borderWidth: 2,
+          borderDash: [2, 3],
+          stepped: 'before',
+          pointRadius: 3,
+          pointHoverRadius: 5
+        }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: {
+        mode: 'index',
+        intersect: false
+      },
+      onHover: (event, activeElements) => {
+        // Skip if keyboard focus already active
+        if (isKeyboardMode && document.activeElement === canvas) return;
+        
+        if (activeElements.length > 0) {
+          announceTermPoint(rows[activeElements[0].index]);
+        }
+      },
+      plugins: {
+        legend: {
+          display: false // Using custom legend in HTML
+        },
+        tooltip: {
+          callbacks: {
+            title: (context) => `Maturity: ${formatYears(context[0].parsed.x)} years`,
+            label: (context) => `${context.dataset.label}: ${context.parsed.y.toFixed(3)}%`
+          }
+        }
+      },
+      scales: {
+        x: {
+          type: 'linear',
+          min: 0,
+          title: {
+            display: true,
+            text: 'Maturity (years)'
+          },
+          grid: {
+            display: false
+          }
+        },
+        y: {
+          title: {
+            display: true,
+            text: 'Annual rate (%)'
+          },
+          ticks: {
+            callback: (value) => `${value}%`
+          },
+          grid: {
+            color: 'rgba(0, 0, 0, 0.05)'
+          }
+        }
+      },
+      layout: {
+        padding: {
+          left: 20,
+          right: 30,
+          top: 20,
+          bottom: 20
+        }
+      }
+    },
+    plugins: [{
+      // Keyboard focus highlight plugin
+      id: 'keyboardFocus',
+      afterDatasetsDraw: (chart) => {
+        if (document.activeElement !== canvas) return;
+        
+        const point = chart.getDatasetMeta(1).data[termStructureView.focusIndex];
+        if (!point) return;
+        
+        const ctx = chart.ctx;
+        ctx.save();
+        ctx.strokeStyle = COLORS.darkText;
+        ctx.lineWidth = 3;
+        ctx.setLineDash([5, 5]);
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, 10, 0, 2 * Math.PI);
+        ctx.stroke();
+        ctx.restore();
+      }
+    }]
+  });
+  
+  setupKeyboardNavigation(canvas, termStructureView, rows.length, (index) => {
+    announceTermPoint(rows[index]);
+  });
+}
+
+/**
+ * Create or update the horizon return chart: for each rate scenario, the
+ * coupons, interest on interest and capital gain or loss earned by the horizon
+ * @param {Array} scenarios - Horizon returns from calculateHorizonScenarios
+ */
+export function renderHorizonChart(scenarios) {
+  const canvas = document.getElementById('horizon-chart');
+  
+  if (!canvas) {
+    console.error('Horizon chart canvas not found');
+    return;
+  }
+  
+  makeCanvasFocusable(canvas);
+  
+  const ctx = canvas.getContext('2d');
+  
+  if (horizonView.chart) {
+    horizonView.chart.destroy();
+  }
+  
+  // Start on the entered rates
+  horizonView.focusIndex = Math.max(scenarios.findIndex(scenario => scenario.shift === 0), 0);
+  
+  const component = (label, key, color) => ({
+    label,
+    data: scenarios.map(scenario => scenario[key]),
+    backgroundColor: color,
+    borderColor: '#333',
+    borderWidth: 1,
+    stack: 'return'
+  });
+  
+  horizonView.chart = new Chart(ctx, {
+    type: 'bar',
+    data: {
+      labels: scenarios.map(scenario => horizonShiftLabel(scenario.shift)),
+      datasets: [
+        component('Coupons', 'coupons', COLORS.coupon),
+        component('Interest on interest', 'interestOnInterest', COLORS.mint),
+        component('Capital gain or loss', 'capitalGain', COLORS.purchase)
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: {
+        mode: 'index',
+        intersect: false
+      },
+      onHover: (event, activeElements) => {
+        // Skip if keyboard focus already active
+        if (isKeyboardMode && document.activeElement === canvas) return;
+        
+        if (activeElements.length > 0) {
+          announceHorizonScenario(scenarios[activeElements[0].index]);
+        }
+      },
+      plugins: {
+        legend: {
+          display: false // Using custom legend in HTML
+        },
+        tooltip: {
+          callbacks: {
+            title: (context) => {
+              const scenario = scenarios[context[0].dataIndex];
+              return `Reinvest at ${scenario.reinvestmentRate.toFixed(2)}%, sell at ${scenario.saleYield.toFixed(2)}%`;
+            },
+            label: (context) => `${context.dataset.label}: ${formatCurrency(context.parsed.y, true)}`,
+            footer: (context) => {
+              const scenario = scenarios[context[0].dataIndex];
+              return [
+                `Total return: ${formatCurrency(scenario.totalReturn, true)}`,
+                `Realized yield: ${scenario.realizedYield.toFixed(3)}%`
+              ];
+            }
+          }
+        }
+      },
+      scales: {
+        x: {
+          title: {
+            display: true,
+            text: 'Reinvestment rate and sale yield'
+          },
+          grid: {
+            display: false
+          }
+        },
+        y: {
+          title: {
+            display: true,
+            text: 'Return by the horizon'
+          },
+          ticks: {
+            callback: (value) => formatCurrency(value)
+          },
+          grid: {
+            color: 'rgba(0, 0, 0, 0.05)'
+          }
+        }
+      },
+      layout: {
+        padding: {
+          left: 20,
+          right: 30,
+          top: 20,
+          bottom: 20
+        }
+      }
+    },
+    plugins: [barFocusPlugin(canvas, horizonView)]
+  });
+  
+  setupKeyboardNavigation(canvas, horizonView, scenarios.length, (index) => {
+    announceHorizonScenario(scenarios[index]);
+  });
+}
+
+/**
+ * Create or update the constant-yield price path chart: the carrying value at
+ * settlement and after each coupon date, converging to the principal outstanding
+ * @param {Array} points - Points ({ yearLabel, value, outstandingPrincipal }),
+ *   settlement first
+ */
+export function renderPricePathChart(points) {
+  const canvas = document.getElementById('price-path-chart');
+  
+  if (!canvas) {
+    console.error('Price path chart canvas not found');
+    return;
+  }
+  
+  makeCanvasFocusable(canvas);
+  
+  const ctx = canvas.getContext('2d');
+  
+  if (pricePathView.chart) {
+    pricePathView.chart.destroy();
+  }
+  
+  pricePathView.focusIndex = Math.min(pricePathView.focusIndex, points.length - 1);
+  
+  pricePathView.chart = new Chart(ctx, {
+    type: 'line',
+    data: {
+      datasets: [
+        {
+          label: 'Carrying value',
+          data: points.map(point => ({ x: point.yearLabel, y: point.value })),
+          borderColor: COLORS.coupon,
+          backgroundColor: COLORS.coupon,
+          borderWidth: 3,
+          pointRadius: 3,
+          pointHoverRadius: 5
+        },
+        {
+          // Principal is repaid on coupon dates, so the balance steps down
+          label: 'Principal outstanding',
+          data: points.map(point => ({ x: point.yearLabel, y: point.outstandingPrincipal })),
+          borderColor: COLORS.darkText,
+          backgroundColor: COLORS.darkText,
+          borderWidth: 2,
+          borderDash: [6, 4],
+          stepped: 'after',
+          pointRadius: 0,
+          pointHoverRadius: 3
+        }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: {
+        mode: 'index',
+        intersect: false
+      },
+      onHover: (event, activeElements) => {
+        // Skip if keyboard focus already active
+        if (isKeyboardMode && document.activeElement === canvas) return;
+        
+        if (activeElements.length > 0) {
+          announcePricePathPoint(points[activeElements[0].index]);
+        }
+      },
+      plugins: {
+        legend: {
+          display: false // Using custom legend in HTML
+        },
+        tooltip: {
+          callbacks: {
+            title: (context) => `Years from settlement: ${formatYears(context[0].parsed.x)}`,
+            label: (context) => `${context.dataset.label}: ${formatCurrency(context.parsed.y)}`
+          }
+        }
+      },
+      scales: {
+        x: {
+          type: 'linear',
+          min: 0,
+          title: {
+            display: true,
+            text: 'Years from settlement'
+          },
+          grid: {
+            display: false
+          }
+        },
+        y: {
+          title: {
+            display: true,
+            text: 'Value'
+          },
+          ticks: {
+            callback: (value) => formatCurrency(value)
+          },
+          grid: {
+            color: 'rgba(0, 0, 0, 0.05)'
+          }
+        }
+      },
+      layout: {
+        padding: {
+          left: 20,
+          right: 30,
+          top: 20,
+          bottom: 20
+        }
+      }
+    },
+    plugins: [{
+      // Keyboard focus highlight plugin
+      id: 'keyboardFocus',
+      afterDatasetsDraw: (chart) => {
+        if (document.activeElement !== canvas) return;
+        
+        const point = chart.getDatasetMeta(0).data[pricePathView.focusIndex];
+        if (!point) return;
+        
+        const ctx = chart.ctx;
+        ctx.save();
+        ctx.strokeStyle = COLORS.darkText;
+        ctx.lineWidth = 3;
+        ctx.setLineDash([5, 5]);
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, 10, 0, 2 * Math.PI);
+        ctx.stroke();
+        ctx.restore();
+      }
+    }]
+  });
+  
+  setupKeyboardNavigation(canvas, pricePathView, points.length, (index) => {
+    announcePricePathPoint(points[index]);
+  });
+}
+
+/**
+ * Make a chart canvas keyboard focusable
+ * @param {HTMLCanvasElement} canvas - The chart canvas
+ */
+function makeCanvasFocusable(canvas) {
+  canvas.setAttribute('tabindex', '0');
+  canvas.setAttribute('role', 'img');
+  canvas.setAttribute('aria-roledescription', 'interactive chart');
+  canvas.setAttribute(
+    'aria-label',
+    'Interactive chart. Press Enter to focus, then use arrow keys to explore data points.'
+  );
+  
+  // Allow Enter to activate keyboard navigation from wrapper (once per wrapper)
+  const container = canvas.parentElement;
+  if (container && !container._enterListener) {
+    container._enterListener = (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        canvas.focus();
+      }
+    };
+    container.addEventListener('keydown', container._enterListener);
+  }
+}
+
+/**
+ * Setup keyboard navigation for a chart
+ * @param {HTMLCanvasElement} canvas - The chart canvas
+ * @param {Object} view - Chart view (chart instance and focus index)
+ * @param {number} count - Number of navigable data points
+ * @param {Function} announce - Announces the data point at an index
+ */
+function setupKeyboardNavigation(canvas, view, count, announce) {
+  // Remove existing listeners to avoid duplicates
+  ['keydown', 'focus', 'blur', 'mousemove'].forEach(event => {
+    const key = `_${event}Listener`;
+    if (canvas[key]) {
+      canvas.removeEventListener(event, canvas[key]);
+    }
+  });
+  
+  // Create new listener
+  const keydownListener = (e) => {
+    const maxIndex = count - 1;
+    let newIndex = view.focusIndex;
+    
+    // Enable keyboard mode on any arrow key press
+    isKeyboardMode = true;
+    
+    switch(e.key) {
+      case 'ArrowRight':
+      case 'ArrowDown':
+        e.preventDefault();
+        newIndex = Math.min(view.focusIndex + 1, maxIndex);
+        break;
+      case 'ArrowLeft':
+      case 'ArrowUp':
+        e.preventDefault();
+        newIndex = Math.max(view.focusIndex - 1, 0);
+        break;
+      case 'Home':
+        e.preventDefault();
+        newIndex = 0;
+        break;
+      case 'End':
+        e.preventDefault();
+        newIndex = maxIndex;
+        break;
+      default:
+        return;
+    }
+    
+    if (newIndex !== view.focusIndex) {
+      view.focusIndex = newIndex;
+      view.chart.update('none'); // Update without animation
+      announce(view.focusIndex);
+      
+      // Show tooltip at focused point
+      showTooltipAtIndex(view, view.focusIndex);
+    }
+  };
+  
+  // Focus handler to redraw focus indicator and show initial tooltip
+  const focusListener = () => {
+    isKeyboardMode = true;
+    showTooltipAtIndex(view, view.focusIndex);
+    announce(view.focusIndex);
+  };
+  
+  const blurListener = () => {
+    view.chart.tooltip.setActiveElements([], {x: 0, y: 0});
+    view.chart.update('none');
+  };
+  
+  // Disable keyboard mode when mouse moves over chart
+  const mouseMoveListener = () => {
+    isKeyboardMode = false;
+  };
+  
+  // Store listener references for cleanup
+  canvas._keydownListener = keydownListener;
+  canvas._focusListener = focusListener;
+  canvas._blurListener = blurListener;
+  canvas._mousemoveListener = mouseMoveListener;
+  canvas.addEventListener('keydown', keydownListener);
+  canvas.addEventListener('focus', focusListener);
+  canvas.addEventListener('blur', blurListener);
+  canvas.addEventListener('mousemove', mouseMoveListener);
+}
+
+/**
+ * Show tooltip at a specific data index
+ * @param {Object} view - Chart view
+ * @param {number} index - Data point index
+ */
+function showTooltipAtIndex(view, index) {
+  const chart = view.chart;
+  if (!chart) return;
+  
+  // Datasets without a value at this index have no drawable element
+  const elements = view.tooltipDatasets
+    .map(datasetIndex => ({
+      datasetIndex,
+      element: chart.getDatasetMeta(datasetIndex).data[index]
+    }))
+    .filter(({ element }) => element && Number.isFinite(element.y));
+  
+  if (elements.length === 0) return;
+  
+  // Set active elements for every tooltip dataset at this index
+  const anchor = elements[elements.length - 1].element;
+  chart.tooltip.setActiveElements(
+    elements.map(({ datasetIndex }) => ({ datasetIndex, index })),
+    { x: anchor.x, y: anchor.y }
+  );
+  
+  chart.update('none');
+}
+
+/**
+ * Announce data point for screen readers
+ * @param {Object} cashFlow - Cash flow object
+ * @param {string} values - Values shown on the chart ('nominal', 'pv' or 'both')
+ * @param {boolean} showBalance - Whether the outstanding principal is charted
+ */
+function announceDataPoint(cashFlow, values = 'nominal', showBalance = false) {
+  let announcement = `Period ${formatYears(cashFlow.yearLabel)} years. ` +
+    `Coupon payment: ${formatCurrency(cashFlow.couponPayment, true)}. ` +
+    `Principal repayment: ${formatCurrency(cashFlow.principalPayment, true)}. ` +
+    `Total: ${formatCurrency(cashFlow.totalCashFlow, true)}.`;
+  
+  if (showBalance) {
+    announcement += ` Outstanding principal: ${formatCurrency(cashFlow.outstandingPrincipal)}.`;
+  }
+  
+  if (values !== 'nominal') {
+    announcement += ` Discount factor: ${cashFlow.discountFactor.toFixed(6)}. ` +
+      `Present value: ${formatCurrency(cashFlow.presentValue, true)}.`;
+  }
+  
+  announceToChartRegion(announcement);
+}
+
+/**
+ * Announce price–yield curve point for screen readers
+ * @param {Object} point - Curve point
+ */
+function announceCurvePoint(point) {
+  const announcement = `Yield-to-maturity ${point.ytm.toFixed(2)}%. ` +
+    `Price: ${formatCurrency(point.price)}. ` +
+    `Duration estimate: ${formatCurrency(point.durationEstimate)}. ` +
+    `Duration plus convexity estimate: ${formatCurrency(point.convexityEstimate)}.`;
+  
+  announceToChartRegion(announcement);
+}
+
+/**
+ * Announce a yield shock for screen readers
+ * @param {Object} row - Row from generateYieldShocks
+ */
+function announceYieldShock(row) {
+  const announcement = `Yield shock ${formatBasisPoints(row.shock)}, yield ${row.ytm.toFixed(2)}%. ` +
+    `Repriced: ${formatCurrency(row.price)}, ${row.priceChange.toFixed(3)}%. ` +
+    `Duration estimate error: ${formatCurrency(row.durationError, true, 4)}. ` +
+    `Duration plus convexity estimate error: ${formatCurrency(row.convexityError, true, 4)}.`;
+  
+  announceToChartRegion(announcement);
+}
+
+/**
+ * Announce term structure point for screen readers
+ * @param {Object} row - Row from bootstrapTermStructure
+ */
+function announceTermPoint(row) {
+  const announcement = `Maturity ${formatYears(row.years)} years. ` +
+    `Par yield: ${row.parYield.toFixed(3)}%. ` +
+    `Spot rate: ${row.spotRate.toFixed(3)}%. ` +
+    `Forward rate for the period: ${row.forwardRate.toFixed(3)}%.`;
+  
+  announceToChartRegion(announcement);
+}
+
+/**
+ * Announce a horizon rate scenario for screen readers
+ * @param {Object} scenario - Horizon return from calculateHorizonScenarios
+ */
+function announceHorizonScenario(scenario) {
+  const announcement = `${horizonShiftLabel(scenario.shift)}: reinvest at ${scenario.reinvestmentRate.toFixed(2)}%, ` +
+    `sell at ${scenario.saleYield.toFixed(2)}%. ` +
+    `Coupons: ${formatCurrency(scenario.coupons, true)}. ` +
+    `Interest on interest: ${formatCurrency(scenario.interestOnInterest, true)}. ` +
+    `Capital gain or loss: ${formatCurrency(scenario.capitalGain, true)}. ` +
+    `Realized yield: ${scenario.realizedYield.toFixed(3)}%.`;
+  
+  announceToChartRegion(announcement);
+}
+
+/**
+ * Announce a price path point for screen readers
+ * @param {Object} point - Price path point ({ yearLabel, value, outstandingPrincipal })
+ */
+function announcePricePathPoint(point) {
+  const announcement = `${formatYears(point.yearLabel)} years from settlement. ` +
+    `Carrying value: ${formatCurrency(point.value)}. ` +
+    `Principal outstanding: ${formatCurrency(point.outstandingPrincipal)}.`;
+  
+  announceToChartRegion(announcement);
+}
+
+/**
+ * Write a message to the chart live region
+ * @param {string} announcement - Message to announce
+ */
+function announceToChartRegion(announcement) {
+  // Create or update live region for screen reader announcements
+  let liveRegion = document.getElementById('chart-live-region');
+  if (!liveRegion) {
+    liveRegion = document.createElement('div');
+    liveRegion.id = 'chart-live-region';
+    liveRegion.setAttribute('aria-live', 'polite');
+    liveRegion.setAttribute('aria-atomic', 'true');
+    liveRegion.className = 'sr-only';
+    document.body.appendChild(liveRegion);
+  }
+  
+  liveRegion.textContent = announcement;
+}
+
+/**
+ * Update chart visibility based on window width
+ * @returns {boolean} True if labels should be shown
+ */
+export function shouldShowLabels() {
+  return window.innerWidth > 860;
+}
+
+/**
+ * Cleanup chart resources
+ */
+export function destroyChart() {
+  [cashFlowView, priceYieldView, yieldShockView, termStructureView, horizonView, pricePathView].forEach(view => {
+    if (view.chart) {
+      view.chart.destroy();
+      view.chart = null;
+    }
+  });
 }
\ No newline at end of file
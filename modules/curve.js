@@ -0,0 +1,67 @@
+/**
+ * Term Structure Module
+ * Helpers for entering spot rate curves
+ */
+
+/**
+ * Parse a list of rates typed or pasted as text
+ * Accepts commas, semicolons, spaces, tabs or new lines between values, so a
+ * column or row copied from a spreadsheet can be pasted directly.
+ * @param {string} text - Rates in percent, e.g. "5, 5.25, 5.5"
+ * @returns {Array<number>} Rates; entries that are not numbers become NaN
+ */
+export function parseRateList(text) {
+  return String(text)
+    .split(/[\s,;]+/)
+    .filter(token => token !== '')
+    .map(token => Number(token.replace(/%$/, '')));
+}
+
+/**
+ * Format a list of rates for display in a text field
+ * @param {Array<number>} rates - Rates in percent
+ * @returns {string} Comma-separated rates
+ */
+export function formatRateList(rates) {
+  return rates.map(rate => String(Number(rate.toFixed(4)))).join(', ');
+}
+
+/**
+ * Bootstrap spot rates from par yields and derive implied forward rates
+ * A par bond maturing at period t prices at 1 with coupon c = par yield / frequency:
+ *   1 = c × (DF1 + … + DFt−1) + (1 + c) × DFt
+ * so each discount factor follows from the ones before it. Rates are annual
+ * percentages with periodic compounding at the given frequency.
+ * @param {Array<number>} parYields - Annual par yields (percentage), one per period
+ * @param {number} frequency - Compounding (payment) frequency per year
+ * @returns {Array<Object>} Rows of period, years, parYield, discountFactor,
+ *   spotRate and forwardRate (the one-period rate from t−1 to t)
+ */
+export function bootstrapTermStructure(parYields, frequency) {
+  const rows = [];
+  let sumDiscountFactors = 0;
+  let previousDiscountFactor = 1;
+  
+  parYields.forEach((parYield, index) => {
+    const period = index + 1;
+    const coupon = parYield / 100 / frequency;
+    const discountFactor = (1 - coupon * sumDiscountFactors) / (1 + coupon);
+    
+    const spotRate = (Math.pow(discountFactor, -1 / period) - 1) * frequency * 100;
+    const forwardRate = (previousDiscountFactor / discountFactor - 1) * frequency * 100;
+    
+    rows.push({
+      period,
+      years: period / frequency,
+      parYield,
+      discountFactor,
+      spotRate,
+      forwardRate
+    });
+    
+    sumDiscountFactors += discountFactor;
+    previousDiscountFactor = discountFactor;
+  });
+  
+  return rows;
+}
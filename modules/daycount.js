@@ -0,0 +1,129 @@
+/**
+ * Day-Count Module
+ * Day-count conventions for accrued interest and fractional coupon periods
+ */
+
+/**
+ * Supported conventions and their display labels
+ */
+export const DAY_COUNT_CONVENTIONS = {
+  '30/360': '30/360 (bond basis)',
+  'ACT/360': 'Actual/360',
+  'ACT/365': 'Actual/365 (fixed)',
+  'ACT/ACT': 'Actual/Actual (ICMA)'
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse an ISO date string (YYYY-MM-DD) as a UTC date
+ * @param {string} text - Date string
+ * @returns {Date|null} Date, or null if the text is not a valid calendar date
+ */
+export function parseDate(text) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text || '');
+  if (!match) return null;
+  
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  
+  // Reject dates that roll over, such as 2026-02-30
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  
+  return date;
+}
+
+/**
+ * Format a UTC date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string} ISO date string
+ */
+export function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Add whole months to a date, clamping to the end of shorter months
+ * @param {Date} date - Start date
+ * @param {number} months - Months to add
+ * @returns {Date} Shifted date
+ */
+export function addMonths(date, months) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  
+  return new Date(Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay)));
+}
+
+/**
+ * Actual calendar days between two dates
+ * @param {Date} start - Start date
+ * @param {Date} end - End date
+ * @returns {number} Days from start to end
+ */
+function actualDays(start, end) {
+  return Math.round((end - start) / MS_PER_DAY);
+}
+
+/**
+ * Days between two dates on the 30/360 bond basis
+ * Day 31 becomes 30 at the start; at the end only when the start is the 30th or 31st.
+ * @param {Date} start - Start date
+ * @param {Date} end - End date
+ * @returns {number} 30/360 days from start to end
+ */
+function days30360(start, end) {
+  const d1 = Math.min(start.getUTCDate(), 30);
+  const d2 = end.getUTCDate() === 31 && d1 === 30 ? 30 : end.getUTCDate();
+  
+  return 360 * (end.getUTCFullYear() - start.getUTCFullYear()) +
+    30 * (end.getUTCMonth() - start.getUTCMonth()) +
+    (d2 - d1);
+}
+
+/**
+ * Count the days between two dates under a convention
+ * @param {string} convention - Key of DAY_COUNT_CONVENTIONS
+ * @param {Date} start - Start date
+ * @param {Date} end - End date
+ * @returns {number} Day count
+ */
+export function dayCount(convention, start, end) {
+  return convention === '30/360' ? days30360(start, end) : actualDays(start, end);
+}
+
+/**
+ * Describe the coupon period containing the settlement date
+ * The accrual fraction w = t/T is the share of the coupon period elapsed at
+ * settlement: accrued interest is w × coupon, and each remaining cash flow is
+ * discounted over (period − w) periods.
+ * @param {Object} params - Settlement parameters
+ * @param {string} params.convention - Key of DAY_COUNT_CONVENTIONS
+ * @param {Date} params.lastCouponDate - Last coupon date on or before settlement
+ * @param {Date} params.settlementDate - Settlement date
+ * @param {number} params.frequency - Payment frequency per year
+ * @returns {Object} Days accrued (t), days in the period (T), fraction and next coupon date
+ */
+export function couponPeriod({ convention, lastCouponDate, settlementDate, frequency }) {
+  const nextCouponDate = addMonths(lastCouponDate, 12 / frequency);
+  const daysAccrued = dayCount(convention, lastCouponDate, settlementDate);
+  
+  // T is a fixed share of the year basis, except ACT/ACT which counts the period itself
+  const daysInPeriod = {
+    '30/360': 360 / frequency,
+    'ACT/360': 360 / frequency,
+    'ACT/365': 365 / frequency,
+    'ACT/ACT': actualDays(lastCouponDate, nextCouponDate)
+  }[convention];
+  
+  return {
+    convention,
+    daysAccrued,
+    daysInPeriod,
+    fraction: daysAccrued / daysInPeriod,
+    nextCouponDate
+  };
+}
@@ -0,0 +1,211 @@
+/**
+ * Export Module
+ * Client-side CSV and Excel (SpreadsheetML) export of the cash flow schedule
+ */
+
+import { frequencyLabel } from './utils.js';
+import { DAY_COUNT_CONVENTIONS } from './daycount.js';
+import { BOND_STRUCTURES } from './calculations.js';
+
+/**
+ * Column headings of the schedule
+ */
+const SCHEDULE_HEADINGS = [
+  'Period',
+  'Years',
+  'Coupon payment',
+  'Principal payment',
+  'Outstanding principal',
+  'Total cash flow',
+  'Discount factor',
+  'PV of cash flow',
+  'Cumulative PV'
+];
+
+/**
+ * Round a number for export, dropping floating-point noise
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return Number(value.toFixed(8));
+}
+
+/**
+ * Build the rows of the export: a header block of inputs and price,
+ * a blank row, then the cash flow schedule
+ * @param {Object} calculations - Bond calculations
+ * @param {Object} params - Input parameters
+ * @returns {Array<Array<string|number>>} Rows of cells
+ */
+export function buildExportRows(calculations, params) {
+  const { faceValue, couponRate, ytm, years, frequency, lastCouponDate, settlementDate } = params;
+  const { convention, daysAccrued, daysInPeriod } = calculations.settlement;
+  const { structure = 'coupon', truncation, floating } = calculations;
+  const label = frequencyLabel(frequency);
+  
+  const header = [
+    ['Bond cash flow schedule'],
+    ['Bond type', BOND_STRUCTURES[structure]],
+    ['Face value', faceValue],
+    ['Coupon rate (%)', structure === 'zero' ? 0 : floating ? round(floating.couponRates[0]) : couponRate],
+    ['Yield-to-maturity (%)', round(ytm)],
+    ['Years to maturity (from last coupon)', structure === 'perpetual' ? 'None (perpetual)' : years],
+    ['Payment frequency', `${label.charAt(0).toUpperCase() + label.slice(1)} (${frequency} per year)`],
+    ['Last coupon date', lastCouponDate],
+    ['Settlement date', settlementDate],
+    ['Day count', DAY_COUNT_CONVENTIONS[convention]],
+    ['Days accrued', daysAccrued],
+    ['Days in coupon period', round(daysInPeriod)],
+    ['Full (dirty) price', round(calculations.fullPrice)],
+    ['Accrued interest', round(calculations.accruedInterest)],
+    ['Flat (clean) price', round(calculations.flatPrice)],
+    []
+  ];
+  
+  // A perpetual schedule is cut off; state what the omitted coupons are worth
+  if (truncation) {
+    header.splice(header.length - 1, 0,
+      ['Coupons listed', truncation.shownPeriods],
+      ['PV of coupons after those listed', round(truncation.pvTail)]
+    );
+  }
+  
+  // A floating-rate note lists its reference rate and margins
+  if (floating) {
+    const { referenceRates, quotedMargin, discountMargin } = floating;
+    header.splice(3, 0,
+      ['Reference rate (%)', referenceRates.every(rate => rate === referenceRates[0])
+        ? round(referenceRates[0])
+        : referenceRates.map(round).join(', ')],
+      ['Quoted margin (bp)', quotedMargin],
+      ['Discount margin (bp)', discountMargin]
+    );
+  }
+  
+  // A callable bond also reports its worst-case redemption; a putable, its
+  // lowest-yield redemption (the holder chooses whether to put)
+  if (calculations.redemption) {
+    const { option, scenarios, worst } = calculations.redemption;
+    const exercise = option === 'put' ? 'put' : 'call';
+    const redeemed = { never: 'Never redeemed', maturity: 'Maturity', call: 'Call', put: 'Put' }[worst.type];
+    const rows = scenarios
+      .filter(scenario => scenario.type === option)
+      .map(scenario => [
+        `Yield to ${exercise} ${scenario.date} at ${scenario.price} (%)`,
+        Number.isFinite(scenario.ytm) ? round(scenario.ytm) : 'Not solved'
+      ]);
+    header.splice(header.length - 1, 0,
+      ...rows,
+      [option === 'put' ? 'Lowest yield (%)' : 'Yield-to-worst (%)', round(worst.ytm)],
+      [option === 'put' ? 'Lowest-yield redemption' : 'Worst-case redemption',
+        worst.date ? `${redeemed} ${worst.date}` : redeemed]
+    );
+  }
+  
+  // Alternative yield measures
+  if (calculations.yieldMeasures) {
+    const { currentYield, simpleYield, trueYield, effectiveYield, equivalents } = calculations.yieldMeasures;
+    header.splice(header.length - 1, 0,
+      ['Current yield (%)', round(currentYield)],
+      ['Simple yield (%)', round(simpleYield)],
+      ['True yield (%)', trueYield === null ? 'None (perpetual)' : Number.isFinite(trueYield) ? round(trueYield) : 'Not solved'],
+      ['Effective annual yield (%)', round(effectiveYield)],
+      ...equivalents.map(({ label: compounding, rate }) => [`Yield, ${compounding.toLowerCase()} compounding (%)`, round(rate)])
+    );
+  }
+  
+  const schedule = calculations.cashFlows.map(cf => [
+    cf.period,
+    round(cf.yearLabel),
+    round(cf.couponPayment),
+    round(cf.principalPayment),
+    round(cf.outstandingPrincipal),
+    round(cf.totalCashFlow),
+    round(cf.discountFactor),
+    cf.period > 0 ? round(cf.presentValue) : '',
+    cf.period > 0 ? round(cf.cumulativePV) : ''
+  ]);
+  
+  return [...header, SCHEDULE_HEADINGS, ...schedule];
+}
+
+/**
+ * Convert rows to CSV (RFC 4180 quoting)
+ * @param {Array<Array<string|number>>} rows - Rows of cells
+ * @returns {string} CSV text
+ */
+export function toCSV(rows) {
+  const escapeCell = (cell) => {
+    const text = String(cell);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  
+  return rows.map(row => row.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Escape text for XML content
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Convert rows to an Excel-compatible SpreadsheetML (XML Spreadsheet 2003) workbook
+ * Numbers are written as numeric cells so they can be used in formulas.
+ * @param {Array<Array<string|number>>} rows - Rows of cells
+ * @param {string} sheetName - Worksheet name
+ * @returns {string} SpreadsheetML document
+ */
+export function toSpreadsheetML(rows, sheetName = 'Cash flows') {
+  const rowsXML = rows.map(row => {
+    const cells = row.map(cell => {
+      const type = typeof cell === 'number' ? 'Number' : 'String';
+      return `<Cell><Data ss:Type="${type}">${escapeXML(cell)}</Data></Cell>`;
+    }).join('');
+    return `   <Row>${cells}</Row>`;
+  }).join('\n');
+  
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<?mso-application progid="Excel.Sheet"?>',
+    '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet"',
+    ' xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">',
+    ` <Worksheet ss:Name="${escapeXML(sheetName)}">`,
+    '  <Table>',
+    rowsXML,
+    '  </Table>',
+    ' </Worksheet>',
+    '</Workbook>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Save text as a file in the browser (no server round trip)
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File content
+ * @param {string} mimeType - MIME type
+ */
+export function downloadFile(filename, content, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  
+  // Release the object URL once the download has started
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,124 @@
+/**
+ * History Module
+ * Pure helpers for a bounded undo/redo history of input snapshots
+ */
+
+import { frequencyLabel, formatCurrency } from './utils.js';
+import { BOND_STRUCTURES } from './calculations.js';
+import { DAY_COUNT_CONVENTIONS } from './daycount.js';
+import { EMBEDDED_OPTIONS } from './redemption.js';
+
+/**
+ * Most snapshots kept to undo; older ones are dropped
+ */
+export const HISTORY_LIMIT = 50;
+
+/**
+ * How each input is read out when it is restored
+ * Lists and schedules are only named, as reading every rate would be too long.
+ */
+const INPUT_DESCRIPTIONS = {
+  structure: value => `Bond type ${BOND_STRUCTURES[value]}`,
+  couponRate: value => `Coupon rate ${value.toFixed(2)}%`,
+  ytm: value => `Yield-to-maturity ${value.toFixed(2)}%`,
+  years: value => `Years-to-maturity ${value}`,
+  frequency: value => `Payment frequency ${frequencyLabel(value)}`,
+  faceValue: value => `Face value ${formatCurrency(value)}`,
+  price: value => `Price ${formatCurrency(value)}`,
+  lastCouponDate: value => `Last coupon date ${value}`,
+  settlementDate: value => `Settlement date ${value}`,
+  dayCount: value => `Day count ${DAY_COUNT_CONVENTIONS[value]}`,
+  solveFor: value => `Solving for ${value === 'ytm' ? 'yield-to-maturity' : 'price'}`,
+  pricingMode: value => `Pricing off ${value === 'spot' ? 'the spot curve' : 'a single yield'}`,
+  spotRates: () => 'Spot rates',
+  sinkingFund: () => 'Sinking fund schedule',
+  referenceRate: value => `Reference rate ${value.toFixed(2)}%`,
+  referencePath: value => `Reference rate ${value === 'custom' ? 'set per period' : 'flat'}`,
+  referenceRates: () => 'Reference rates',
+  quotedMargin: value => `Quoted margin ${value} bp`,
+  discountMargin: value => `Discount margin ${value} bp`,
+  embeddedOption: value => `Embedded option ${EMBEDDED_OPTIONS[value]}`,
+  optionSchedule: () => 'Exercise schedule'
+};
+
+/**
+ * Start a history at a snapshot
+ * @param {Object} present - Current input snapshot
+ * @returns {Object} History ({ past, present, future })
+ */
+export function createHistory(present) {
+  return { past: [], present, future: [] };
+}
+
+/**
+ * List the inputs that differ between two snapshots
+ * @param {Object} before - Earlier snapshot
+ * @param {Object} after - Later snapshot
+ * @returns {Array<string>} Keys of the changed inputs
+ */
+export function changedInputs(before, after) {
+  return Object.keys(after).filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+}
+
+/**
+ * Record a new snapshot, clearing anything that could be redone
+ * @param {Object} history - Current history
+ * @param {Object} snapshot - Input snapshot
+ * @param {number} limit - Most snapshots to keep in the past
+ * @returns {Object} Updated history, or the same history if nothing changed
+ */
+export function recordHistory(history, snapshot, limit = HISTORY_LIMIT) {
+  if (changedInputs(history.present, snapshot).length === 0) {
+    return history;
+  }
+  
+  return {
+    past: [...history.past, history.present].slice(-limit),
+    present: snapshot,
+    future: []
+  };
+}
+
+/**
+ * Step back to the previous snapshot
+ * @param {Object} history - Current history
+ * @returns {Object} Updated history, or the same history if there is nothing to undo
+ */
+export function undoHistory(history) {
+  const { past, present, future } = history;
+  if (past.length === 0) return history;
+  
+  return {
+    past: past.slice(0, -1),
+    present: past[past.length - 1],
+    future: [present, ...future]
+  };
+}
+
+/**
+ * Step forward to the snapshot last undone
+ * @param {Object} history - Current history
+ * @returns {Object} Updated history, or the same history if there is nothing to redo
+ */
+export function redoHistory(history) {
+  const { past, present, future } = history;
+  if (future.length === 0) return history;
+  
+  return {
+    past: [...past, present],
+    present: future[0],
+    future: future.slice(1)
+  };
+}
+
+/**
+ * Describe the inputs a step restores, for a screen reader announcement
+ * @param {Object} before - Snapshot before the step
+ * @param {Object} after - Snapshot restored
+ * @returns {string} Restored values (e.g., "Yield-to-maturity 6.50%; Price $108.84")
+ */
+export function describeInputChanges(before, after) {
+  return changedInputs(before, after)
+    .map(key => (INPUT_DESCRIPTIONS[key] ? INPUT_DESCRIPTIONS[key](after[key]) : key))
+    .join('; ');
+}
@@ -0,0 +1,133 @@
+/**
+ * Horizon Return Module
+ * Realized return over an investment horizon: coupons reinvested at a
+ * reinvestment rate, and the bond sold at a yield at the horizon
+ */
+
+import { formatBasisPoints } from './utils.js';
+
+/**
+ * Shifts (basis points) applied to both the reinvestment rate and the sale
+ * yield to show how rate moves after purchase change the realized return
+ */
+export const HORIZON_RATE_SHIFTS = [-200, -100, 0, 100, 200];
+
+/**
+ * Label a horizon rate scenario by its shift
+ * @param {number} shift - Shift of the reinvestment rate and sale yield (bp)
+ * @returns {string} "Entered rates", or the signed shift
+ */
+export function horizonShiftLabel(shift) {
+  return shift === 0 ? 'Entered rates' : formatBasisPoints(shift);
+}
+
+/**
+ * Coupon and principal flows, timed in periods from settlement
+ * A perpetual bond's schedule is cut off, so its coupons are laid out up to
+ * the horizon; the rest are valued in closed form at the sale.
+ * @param {Object} calculations - Bond calculations from calculateFromInputs
+ * @param {number} horizonPeriods - Horizon in periods from settlement
+ * @returns {Array<Object>} Flows ({ time, coupon, principal })
+ */
+function horizonFlows(calculations, horizonPeriods) {
+  const { structure, periodicCoupon, accrualFraction } = calculations;
+  
+  if (structure === 'perpetual') {
+    const count = Math.floor(horizonPeriods + accrualFraction + 1e-9) + 1;
+    return Array.from({ length: count }, (_, index) => ({
+      time: index + 1 - accrualFraction,
+      coupon: periodicCoupon,
+      principal: 0
+    }));
+  }
+  
+  return calculations.cashFlows
+    .filter(cf => cf.period > 0)
+    .map(cf => ({ time: cf.time, coupon: cf.couponPayment, principal: cf.principalPayment }));
+}
+
+/**
+ * Calculate the return from holding a bond to a horizon
+ * Every coupon and principal payment received by the horizon is reinvested at
+ * the reinvestment rate; the payments still to come are sold at the sale yield
+ * (a full price, including accrued interest). Past maturity the proceeds are
+ * simply reinvested to the horizon. The gain over the full purchase price
+ * splits into coupons, interest on interest and the capital gain or loss.
+ * @param {Object} calculations - Bond calculations from calculateFromInputs
+ * @param {Object} params - Horizon parameters
+ * @param {number} params.horizonYears - Years from settlement to the horizon
+ * @param {number} params.reinvestmentRate - Annual reinvestment rate (percentage)
+ * @param {number} params.saleYield - Annual yield at which the bond is sold (percentage)
+ * @param {number} params.frequency - Payment (and compounding) frequency per year
+ * @returns {Object} Horizon value, its components and the realized yield
+ */
+export function calculateHorizonReturn(calculations, { horizonYears, reinvestmentRate, saleYield, frequency }) {
+  const horizonPeriods = horizonYears * frequency;
+  const periodicReinvestment = reinvestmentRate / 100 / frequency;
+  const periodicSaleYield = saleYield / 100 / frequency;
+  const purchasePrice = calculations.fullPrice;
+  
+  const flows = horizonFlows(calculations, horizonPeriods);
+  const received = flows.filter(flow => flow.time <= horizonPeriods + 1e-9);
+  const remaining = flows.filter(flow => flow.time > horizonPeriods + 1e-9);
+  
+  // Reinvest each payment from the date it is received to the horizon
+  const coupons = received.reduce((sum, flow) => sum + flow.coupon, 0);
+  const principalReceived = received.reduce((sum, flow) => sum + flow.principal, 0);
+  const reinvestedValue = received.reduce((sum, flow) =>
+    sum + (flow.coupon + flow.principal) * Math.pow(1 + periodicReinvestment, horizonPeriods - flow.time), 0);
+  
+  // Sell what is left at the sale yield; a perpetual's coupons continue forever
+  let salePrice = remaining.reduce((sum, flow) =>
+    sum + (flow.coupon + flow.principal) / Math.pow(1 + periodicSaleYield, flow.time - horizonPeriods), 0);
+  if (calculations.structure === 'perpetual') {
+    const nextTime = remaining[0].time - horizonPeriods;
+    salePrice = calculations.periodicCoupon * Math.pow(1 + periodicSaleYield, 1 - nextTime) / periodicSaleYield;
+  }
+  
+  const horizonValue = reinvestedValue + salePrice;
+  const growth = horizonValue / purchasePrice;
+  
+  return {
+    horizonYears,
+    reinvestmentRate,
+    saleYield,
+    purchasePrice,
+    coupons,
+    principalReceived,
+    interestOnInterest: reinvestedValue - coupons - principalReceived,
+    reinvestedValue,
+    salePrice,
+    capitalGain: salePrice + principalReceived - purchasePrice,
+    matured: remaining.length === 0,
+    horizonValue,
+    totalReturn: horizonValue - purchasePrice,
+    totalReturnPercent: (growth - 1) * 100,
+    // Compounded at the coupon frequency, comparable with the yield-to-maturity
+    realizedYield: frequency * (Math.pow(growth, 1 / horizonPeriods) - 1) * 100,
+    effectiveRealizedYield: (Math.pow(growth, 1 / horizonYears) - 1) * 100
+  };
+}
+
+/**
+ * Calculate the horizon return with the reinvestment rate and sale yield
+ * both shifted by each of HORIZON_RATE_SHIFTS
+ * Lower rates leave less interest on interest but a higher sale price, and
+ * the reverse; the two offset around the bond's duration.
+ * @param {Object} calculations - Bond calculations from calculateFromInputs
+ * @param {Object} params - Horizon parameters (as for calculateHorizonReturn)
+ * @returns {Array<Object>} Horizon returns with their shift (bp), skipping
+ *   shifts that leave a perpetual bond without a positive sale yield
+ */
+export function calculateHorizonScenarios(calculations, params) {
+  return HORIZON_RATE_SHIFTS
+    .filter(shift => calculations.structure !== 'perpetual' || params.saleYield + shift / 100 > 0)
+    .map(shift => ({
+      shift,
+      ...calculateHorizonReturn(calculations, {
+        ...params,
+        reinvestmentRate: params.reinvestmentRate + shift / 100,
+        saleYield: params.saleYield + shift / 100
+      })
+    }));
+}
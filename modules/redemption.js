@@ -0,0 +1,141 @@
+/**
+ * Redemption Module
+ * Yields to each call or put date and yield-to-worst for bonds with an
+ * embedded option
+ */
+
+import { amortizationSchedule, solveYieldToMaturity, generateCashFlows } from './calculations.js';
+import { parseDate, addMonths, formatDate } from './daycount.js';
+
+/**
+ * Embedded options and their display labels
+ */
+export const EMBEDDED_OPTIONS = {
+  none: 'None',
+  call: 'Callable',
+  put: 'Putable'
+};
+
+/**
+ * Number of coupon periods from the last coupon date to a later coupon date
+ * @param {string} lastCouponDate - Last coupon date (YYYY-MM-DD)
+ * @param {string} date - Exercise date (YYYY-MM-DD)
+ * @param {number} frequency - Payment frequency per year
+ * @returns {number|null} Whole periods, or null if the date is not a coupon date
+ */
+export function couponNumber(lastCouponDate, date, frequency) {
+  const start = parseDate(lastCouponDate);
+  const end = parseDate(date);
+  if (!start || !end) return null;
+
+  const months = (end.getUTCFullYear() - start.getUTCFullYear()) * 12 +
+    (end.getUTCMonth() - start.getUTCMonth());
+  const step = 12 / frequency;
+  if (months % step !== 0) return null;
+
+  // Coupon dates clamp to the end of shorter months, like the schedule itself
+  return formatDate(addMonths(start, months)) === date ? months / step : null;
+}
+
+/**
+ * Principal schedule when the bond is redeemed early
+ * The balance still outstanding at the exercise date is repaid at the
+ * exercise price (per 100 of par) instead of on the original schedule.
+ * @param {Array<number>|null} principal - Original principal schedule (null for a perpetual)
+ * @param {number} faceValue - Face value of the bond
+ * @param {number} period - Exercise period
+ * @param {number} price - Exercise price per 100 of par
+ * @returns {Array<number>} Principal repaid in periods 1 to the exercise period
+ */
+function exercisePrincipal(principal, faceValue, period, price) {
+  const schedule = principal ? principal.slice(0, period) : new Array(period).fill(0);
+  const repaidBefore = schedule.slice(0, period - 1).reduce((sum, repaid) => sum + repaid, 0);
+
+  schedule[period - 1] = (faceValue - repaidBefore) * price / 100;
+  return schedule;
+}
+
+/**
+ * Calculate the yield to each redemption date and the yield-to-worst
+ * Every scenario is solved from the same full price: redemption at maturity
+ * (or never, for a perpetual), and at each call or put date at its price.
+ * A floating-rate note keeps its projected coupons up to the exercise date.
+ * The lowest of these yields is the yield-to-worst of a callable; its cash
+ * flow schedule is discounted at that yield. A put is the holder's choice, so
+ * for a putable it is only the lowest yield, not a case the holder must face.
+ * @param {Object} calculations - Bond calculations from calculateFromInputs
+ * @param {Object} inputs - Bond inputs (faceValue, years, frequency, lastCouponDate,
+ *   structure, sinkingFund, embeddedOption, optionSchedule)
+ * @returns {Object} Scenarios sorted by date, the first exercise, the worst case and its cash flows
+ */
+export function calculateRedemptionYields(calculations, inputs) {
+  const { faceValue, years, frequency, lastCouponDate, embeddedOption, optionSchedule } = inputs;
+  const { structure, fullPrice, accrualFraction, periodicCoupon, floating } = calculations;
+  const couponRate = periodicCoupon * frequency / faceValue * 100;
+  const perpetual = structure === 'perpetual';
+  const periods = years * frequency;
+
+  const principal = perpetual
+    ? null
+    : amortizationSchedule({ structure, faceValue, couponRate, periods, frequency, sinkingFund: inputs.sinkingFund });
+
+  // Held to the end: the yield already solved for the bond
+  const scenarios = [{
+    type: perpetual ? 'never' : 'maturity',
+    date: perpetual ? null : formatDate(addMonths(parseDate(lastCouponDate), periods * 12 / frequency)),
+    period: perpetual ? Infinity : periods,
+    years: perpetual ? Infinity : (periods - accrualFraction) / frequency,
+    price: 100,
+    ytm: calculations.ytm,
+    principal
+  }];
+
+  optionSchedule.forEach(({ date, price }) => {
+    const period = couponNumber(lastCouponDate, date, frequency);
+    const redemption = exercisePrincipal(principal, faceValue, period, price);
+    const solution = solveYieldToMaturity({
+      faceValue,
+      couponRate,
+      price: fullPrice,
+      years: period / frequency,
+      frequency,
+      accrualFraction,
+      principal: redemption,
+      coupons: floating ? floating.coupons.slice(0, period) : null
+    });
+
+    scenarios.push({
+      type: embeddedOption,
+      date,
+      period,
+      years: (period - accrualFraction) / frequency,
+      price,
+      ytm: solution.converged ? solution.ytm : NaN,
+      principal: redemption
+    });
+  });
+
+  scenarios.sort((a, b) => a.period - b.period);
+
+  const solved = scenarios.filter(scenario => Number.isFinite(scenario.ytm));
+  const worst = solved.reduce((lowest, scenario) => (scenario.ytm < lowest.ytm ? scenario : lowest));
+  const firstExercise = scenarios.find(scenario => scenario.type === embeddedOption) || null;
+
+  // The cash flows a holder receives in the worst case; an exercise premium
+  // is paid on top of the principal, so nothing is left outstanding after it
+  const worstCashFlows = worst.period === Infinity
+    ? calculations.cashFlows
+    : generateCashFlows({
+      faceValue,
+      frequency,
+      years: worst.period / frequency,
+      periodicCoupon,
+      periodicYield: worst.ytm / 100 / frequency,
+      bondPrice: fullPrice,
+      accrualFraction,
+      principal: worst.principal,
+      coupons: floating ? floating.coupons.slice(0, worst.period) : null
+    }).map(cf => (cf.period === worst.period ? { ...cf, outstandingPrincipal: 0 } : cf));
+
+  return { option: embeddedOption, scenarios, firstExercise, worst, worstCashFlows };
+}
@@ -3,14 +3,17 @@
  * Renders bond price and analysis results
  */
 
-import { formatCurrency, createElement, setHTML } from './utils.js';
+import { formatCurrency, formatFaceValue, createElement, setHTML } from './utils.js';
+import { DAY_COUNT_CONVENTIONS } from './daycount.js';
 
 /**
  * Render results and analysis section
  * @param {Object} calculations - Bond calculations
  * @param {Object} params - Input parameters
+ * @param {Array} comparison - Scenarios to compare ({ name, active, inputs, calculations });
+ *   the comparison table is shown when there are two or more
  */
-export function renderResults(calculations, params) {
+export function renderResults(calculations, params, comparison = []) {
   const container = document.getElementById('results-content');
   
   if (!container) {
@@ -22,20 +25,64 @@ export function renderResults(calculations, params) {
   container.innerHTML = '';
   
   // Create bond price result box
-  const priceBox = createPriceBox(calculations.bondPrice);
+  const priceBox = createPriceBox(calculations, params);
   container.appendChild(priceBox);
   
+  // Create spot curve box, or solved yield box when the price was the input
+  // (a floating-rate note's implied yield is part of its margin analysis)
+  if (calculations.spotPricing) {
+    const spotBox = createSpotBox(calculations);
+    container.appendChild(spotBox);
+  } else if (calculations.solvedYield && !calculations.floating) {
+    const yieldBox = createYieldBox(calculations.solvedYield);
+    container.appendChild(yieldBox);
+  }
+  
+  // Yields to each call or put date, and the lowest of them
+  if (calculations.redemption) {
+    const redemptionBox = createRedemptionBox(calculations.redemption);
+    container.appendChild(redemptionBox);
+  }
+  
+  // Current, simple and true yield, and the yield under other compounding
+  if (calculations.yieldMeasures) {
+    const measuresBox = createYieldMeasuresBox(calculations.yieldMeasures, params);
+    container.appendChild(measuresBox);
+  }
+  
   // Create premium/discount analysis box
   const analysisBox = createAnalysisBox(calculations, params);
   container.appendChild(analysisBox);
+  
+  // Explain zero-coupon, perpetual and amortizing structures
+  if (calculations.structure && !['coupon', 'frn'].includes(calculations.structure)) {
+    const structureBox = createStructureBox(calculations, params);
+    container.appendChild(structureBox);
+  }
+  
+  // Create duration and convexity box
+  const riskBox = createRiskBox(calculations.riskMeasures);
+  container.appendChild(riskBox);
+  
+  // Create scenario comparison box
+  if (comparison.length > 1) {
+    const comparisonBox = createComparisonBox(comparison);
+    container.appendChild(comparisonBox);
+  }
 }
 
 /**
  * Create bond price display box
- * @param {number} bondPrice - Bond price
+ * Shows the full (dirty) price with its split into accrued interest and
+ * flat (clean) price.
+ * @param {Object} calculations - Bond calculations
+ * @param {Object} params - Input parameters
  * @returns {Element} Price box element
  */
-function createPriceBox(bondPrice) {
+function createPriceBox(calculations, params) {
+  const { bondPrice, accruedInterest, flatPrice, accrualFraction, settlement } = calculations;
+  const { faceValue } = params;
+
   const box = createElement('div', { className: 'result-box price' });
   
   const title = createElement('h5', { className: 'result-title price' }, 
@@ -52,14 +99,376 @@ function createPriceBox(bondPrice) {
   }, formatCurrency(bondPrice));
   valueContainer.appendChild(priceValue);
   
-  // Per $100 par text
+  // Per face value text
   const parText = createElement('span', { className: 'result-value-small' }, 
-    ' per $100 par'
+    ` per ${formatFaceValue(faceValue)} par`
   );
   valueContainer.appendChild(parText);
   
   box.appendChild(valueContainer);
   
+  // Full price = flat price + accrued interest
+  const breakdown = createElement('div', { className: 'risk-content' });
+  const rows = [
+    ['Full (dirty) price', formatCurrency(bondPrice)],
+    ['Accrued interest', formatCurrency(accruedInterest)],
+    ['Flat (clean) price', formatCurrency(flatPrice)]
+  ];
+  
+  rows.forEach(([label, value]) => {
+    breakdown.appendChild(createElement('div', { className: 'risk-row' },
+      createElement('span', { className: 'risk-label' }, label),
+      createElement('span', { className: 'risk-value' }, value)
+    ));
+  });
+  
+  const note = accrualFraction > 0
+    ? `Settlement ${settlement.daysAccrued} of ${settlement.daysInPeriod} days into the coupon period ` +
+      `(t/T = ${accrualFraction.toFixed(4)}, ${DAY_COUNT_CONVENTIONS[settlement.convention]}).`
+    : 'Settlement on a coupon date: no accrued interest, so full and flat prices are equal.';
+  breakdown.appendChild(createElement('div', { className: 'result-note' }, note));
+  
+  box.appendChild(breakdown);
+  
+  return box;
+}
+
+/**
+ * Create solved yield-to-maturity display box
+ * @param {Object} solution - Result of solveYieldToMaturity
+ * @returns {Element} Yield box element
+ */
+function createYieldBox(solution) {
+  const box = createElement('div', { className: 'result-box yield' });
+  
+  const title = createElement('h5', { className: 'result-title yield' }, 
+    'Solved Yield-to-Maturity'
+  );
+  box.appendChild(title);
+  
+  const yieldValue = createElement('div', {
+    className: 'result-value yield',
+    'aria-live': 'polite',
+    'aria-atomic': 'true'
+  }, `${solution.ytm.toFixed(4)}%`);
+  box.appendChild(yieldValue);
+  
+  // Convergence report
+  const method = solution.method || (solution.bisections > 0
+    ? `Newton–Raphson with ${solution.bisections} bisection ${solution.bisections === 1 ? 'step' : 'steps'}`
+    : 'Newton–Raphson');
+  const note = createElement('div', { className: 'result-note' },
+    `${method}: converged in ${solution.iterations} ` +
+    `${solution.iterations === 1 ? 'iteration' : 'iterations'} ` +
+    `(price error ${Math.abs(solution.residual).toExponential(1)})`
+  );
+  box.appendChild(note);
+  
+  return box;
+}
+
+/**
+ * Create spot curve pricing box with the implied yield-to-maturity
+ * @param {Object} calculations - Bond calculations
+ * @returns {Element} Spot box element
+ */
+function createSpotBox(calculations) {
+  const { spotPricing, solvedYield } = calculations;
+  const { spotRates, periods } = spotPricing;
+  
+  const box = createElement('div', { className: 'result-box yield' });
+  
+  const title = createElement('h5', { className: 'result-title yield' }, 
+    'Spot Curve Pricing'
+  );
+  box.appendChild(title);
+  
+  const content = createElement('div', { 
+    className: 'risk-content',
+    'aria-live': 'polite',
+    'aria-atomic': 'true'
+  });
+  
+  const rows = [
+    ['Price off the spot curve', formatCurrency(spotPricing.price)],
+    ['Implied yield-to-maturity', `${solvedYield.ytm.toFixed(4)}%`],
+    ['Spot rates used', `${periods}, from ${spotRates[0].toFixed(2)}% to ${spotRates[periods - 1].toFixed(2)}%`]
+  ];
+  
+  rows.forEach(([label, value]) => {
+    content.appendChild(createElement('div', { className: 'risk-row' },
+      createElement('span', { className: 'risk-label' }, label),
+      createElement('span', { className: 'risk-value' }, value)
+    ));
+  });
+  
+  // A flat yield is one number standing in for the whole curve
+  const note = createElement('div', { className: 'result-note' },
+    'Each cash flow is discounted at its own spot rate. The implied YTM is the single ' +
+    'rate that discounts all cash flows to the same price, a weighted blend of the spot rates.'
+  );
+  content.appendChild(note);
+  
+  box.appendChild(content);
+  
+  return box;
+}
+
+/**
+ * Labels for each redemption scenario
+ */
+const REDEMPTION_LABELS = {
+  maturity: 'Maturity',
+  never: 'Never redeemed',
+  call: 'Call',
+  put: 'Put'
+};
+
+/**
+ * Create the yield-to-worst box for a callable or putable bond
+ * Lists the yield to maturity and to each exercise date from the same price,
+ * marks the lowest, and shows its cash flows. The holder chooses whether to
+ * put, so for a putable the lowest yield is not called a worst case.
+ * @param {Object} redemption - Result of calculateRedemptionYields
+ * @returns {Element} Redemption box element
+ */
+function createRedemptionBox(redemption) {
+  const { option, scenarios, firstExercise, worst, worstCashFlows } = redemption;
+  const exercise = option === 'put' ? 'put' : 'call';
+  const worstCase = option === 'put' ? 'lowest yield' : 'worst case';
+  
+  const box = createElement('div', { className: 'result-box yield' });
+  
+  const title = createElement('h5', { className: 'result-title yield' }, 
+    option === 'put' ? 'Lowest Yield' : 'Yield-to-Worst'
+  );
+  box.appendChild(title);
+  
+  const yieldValue = createElement('div', {
+    className: 'result-value yield',
+    'aria-live': 'polite',
+    'aria-atomic': 'true'
+  }, `${worst.ytm.toFixed(4)}%`);
+  box.appendChild(yieldValue);
+  
+  const content = createElement('div', { className: 'risk-content' });
+  
+  const scenarioName = (scenario) => scenario.date
+    ? `${REDEMPTION_LABELS[scenario.type]} ${scenario.date} at ${scenario.price.toFixed(2)}`
+    : REDEMPTION_LABELS[scenario.type];
+  
+  content.appendChild(createElement('div', { className: 'risk-row' },
+    createElement('span', { className: 'risk-label' }, `Yield-to-first-${exercise}`),
+    createElement('span', { className: 'risk-value' }, Number.isFinite(firstExercise.ytm)
+      ? `${firstExercise.ytm.toFixed(4)}%`
+      : 'Not solved')
+  ));
+  content.appendChild(createElement('div', { className: 'risk-row' },
+    createElement('span', { className: 'risk-label' }, option === 'put' ? 'Lowest-yield redemption' : 'Worst case'),
+    createElement('span', { className: 'risk-value' }, scenarioName(worst))
+  ));
+  box.appendChild(content);
+  
+  // Yield to each redemption date
+  const wrapper = createElement('div', { className: 'table-wrapper' });
+  const table = createElement('table', { className: 'data-table comparison-table' });
+  
+  table.appendChild(createElement('caption', {},
+    `Yield to maturity and to each ${exercise} date, solved from the bond's price. ` +
+    (option === 'put' ? 'The lowest yield is marked.' : 'The lowest yield is marked as the worst case.')
+  ));
+  
+  const thead = createElement('thead');
+  const headerRow = createElement('tr');
+  ['Redemption', 'Price', 'Years', 'Yield'].forEach((text, index) => {
+    headerRow.appendChild(createElement('th', {
+      scope: 'col',
+      className: index === 0 ? 'text-left' : 'text-right'
+    }, text));
+  });
+  thead.appendChild(headerRow);
+  table.appendChild(thead);
+  
+  const tbody = createElement('tbody');
+  scenarios.forEach(scenario => {
+    const isWorst = scenario === worst;
+    const tr = createElement('tr', { className: isWorst ? 'worst-scenario' : '' });
+    
+    const nameTh = createElement('th', { scope: 'row', className: 'text-left' },
+      scenario.date ? `${REDEMPTION_LABELS[scenario.type]} ${scenario.date}` : REDEMPTION_LABELS[scenario.type]
+    );
+    if (isWorst) {
+      nameTh.appendChild(createElement('span', { className: 'sr-only' }, ` (${worstCase})`));
+    }
+    tr.appendChild(nameTh);
+    
+    [
+      scenario.type === 'never' ? '—' : scenario.price.toFixed(2),
+      Number.isFinite(scenario.years) ? scenario.years.toFixed(2) : '∞',
+      Number.isFinite(scenario.ytm) ? `${scenario.ytm.toFixed(4)}%` : 'Not solved'
+    ].forEach(text => {
+      tr.appendChild(createElement('td', { className: 'text-right' }, text));
+    });
+    
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+  
+  wrapper.appendChild(table);
+  box.appendChild(wrapper);
+  
+  // Cash flows the holder receives in the worst case (lowest yield, for a put)
+  const details = createElement('details', { className: 'worst-cash-flows' });
+  details.appendChild(createElement('summary', {}, `Cash flows if redeemed: ${scenarioName(worst)}`));
+  details.appendChild(createWorstCashFlowTable(worstCashFlows, worst, worstCase));
+  box.appendChild(details);
+  
+  const note = option === 'put'
+    ? 'The holder decides whether to put the bond, so a put is exercised only when it pays more ' +
+      'than holding on. The lowest yield among the redemption dates is therefore not a worst ' +
+      'case the holder faces.'
+    : 'The issuer decides whether to call the bond, and calls when refinancing is cheaper, ' +
+      'which is when the call is worst for the holder. The yield-to-worst is the lowest yield ' +
+      'among all the redemption dates.';
+  box.appendChild(createElement('div', { className: 'result-note' }, note));
+  
+  return box;
+}
+
+/**
+ * Create the cash flow table for the worst-case redemption
+ * @param {Array} cashFlows - Cash flows to the worst-case redemption date
+ * @param {Object} worst - Worst-case scenario
+ * @param {string} worstCase - What the scenario is called ('worst case' or 'lowest yield')
+ * @returns {Element} Table wrapper element
+ */
+function createWorstCashFlowTable(cashFlows, worst, worstCase) {
+  const wrapper = createElement('div', { className: 'table-wrapper' });
+  const table = createElement('table', { className: 'data-table comparison-table' });
+  
+  table.appendChild(createElement('caption', {}, worst.period === Infinity
+    ? `Coupons of the bond if it is never redeemed, discounted at ${worst.ytm.toFixed(4)}%. ` +
+      'Only the first coupons are listed; the bond pays its coupon forever.'
+    : `Coupons and principal paid to the ${worstCase.replace(' ', '-')} redemption, discounted at ${worst.ytm.toFixed(4)}%. ` +
+      'The present values add up to the bond price.'
+  ));
+  
+  const thead = createElement('thead');
+  const headerRow = createElement('tr');
+  ['Period', 'Coupon', 'Principal', 'Total', 'PV'].forEach(text => {
+    headerRow.appendChild(createElement('th', { scope: 'col', className: 'text-right' }, text));
+  });
+  thead.appendChild(headerRow);
+  table.appendChild(thead);
+  
+  const tbody = createElement('tbody');
+  cashFlows.filter(cf => cf.period > 0).forEach(cf => {
+    const tr = createElement('tr');
+    tr.appendChild(createElement('th', { scope: 'row', className: 'text-right' }, String(cf.period)));
+    [cf.couponPayment, cf.principalPayment, cf.totalCashFlow, cf.presentValue].forEach(value => {
+      tr.appendChild(createElement('td', { className: 'text-right' }, formatCurrency(value)));
+    });
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+  
+  wrapper.appendChild(table);
+  return wrapper;
+}
+
+/**
+ * Create the yield measures box
+ * Lists current, simple, street and true yield, then the yield-to-maturity
+ * restated for each compounding frequency, marking the coupon frequency.
+ * @param {Object} measures - Result of calculateYieldMeasures
+ * @param {Object} params - Input parameters
+ * @returns {Element} Yield measures box element
+ */
+function createYieldMeasuresBox(measures, params) {
+  const { currentYield, simpleYield, streetYield, trueYield, delayedPayments, effectiveYield, equivalents } = measures;
+  
+  const box = createElement('div', { className: 'result-box yield' });
+  
+  const title = createElement('h5', { className: 'result-title yield' }, 
+    'Yield Measures'
+  );
+  box.appendChild(title);
+  
+  const content = createElement('div', { className: 'risk-content' });
+  const rows = [
+    ['Current yield', `${currentYield.toFixed(4)}%`],
+    ['Simple yield', `${simpleYield.toFixed(4)}%`],
+    ['Street yield (YTM)', `${streetYield.toFixed(4)}%`],
+    ['True yield', trueYield === null ? '—' : Number.isFinite(trueYield) ? `${trueYield.toFixed(4)}%` : 'Not solved'],
+    ['Effective annual yield', `${effectiveYield.toFixed(4)}%`]
+  ];
+  
+  rows.forEach(([label, value]) => {
+    content.appendChild(createElement('div', { className: 'risk-row' },
+      createElement('span', { className: 'risk-label' }, label),
+      createElement('span', { className: 'risk-value' }, value)
+    ));
+  });
+  box.appendChild(content);
+  
+  // The same yield under each compounding frequency
+  const wrapper = createElement('div', { className: 'table-wrapper' });
+  const table = createElement('table', { className: 'data-table comparison-table' });
+  
+  table.appendChild(createElement('caption', {},
+    'The yield-to-maturity restated for each compounding frequency: every rate gives ' +
+    'the same effective annual yield. The bond\'s coupon frequency is marked as current.'
+  ));
+  
+  const thead = createElement('thead');
+  const headerRow = createElement('tr');
+  ['Compounding', 'Annual rate', 'Per period'].forEach((text, index) => {
+    headerRow.appendChild(createElement('th', {
+      scope: 'col',
+      className: index === 0 ? 'text-left' : 'text-right'
+    }, text));
+  });
+  thead.appendChild(headerRow);
+  table.appendChild(thead);
+  
+  const tbody = createElement('tbody');
+  equivalents.forEach(({ label, periods, rate }) => {
+    const current = periods === params.frequency;
+    const tr = createElement('tr', { className: current ? 'active-scenario' : '' });
+    
+    const nameTh = createElement('th', { scope: 'row', className: 'text-left' }, label);
+    if (current) {
+      nameTh.appendChild(createElement('span', { className: 'sr-only' }, ' (current)'));
+    }
+    tr.appendChild(nameTh);
+    
+    [
+      `${rate.toFixed(4)}%`,
+      periods === Infinity ? '—' : `${(rate / periods).toFixed(4)}%`
+    ].forEach(text => {
+      tr.appendChild(createElement('td', { className: 'text-right' }, text));
+    });
+    
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+  
+  wrapper.appendChild(table);
+  box.appendChild(wrapper);
+  
+  // Street yield assumes payment on the scheduled date; true yield does not
+  const delayed = delayedPayments === 1
+    ? '1 scheduled payment falls on a weekend and is'
+    : `${delayedPayments} scheduled payments fall on a weekend and are`;
+  const note = trueYield === null
+    ? 'Current yield ignores any gain or loss to par; a perpetual bond is never redeemed, ' +
+      'so its simple yield equals its current yield.'
+    : (delayedPayments > 0
+      ? `${delayed} paid the next business day, so the true yield is below the street yield. `
+      : 'No payment falls on a weekend, so the true yield equals the street yield. ') +
+      'Simple yield spreads the gain or loss to par evenly over the years left.';
+  box.appendChild(createElement('div', { className: 'result-note' }, note));
+  
   return box;
 }
 
@@ -70,7 +479,7 @@ function createPriceBox(bondPrice) {
  * @returns {Element} Analysis box element
  */
 function createAnalysisBox(calculations, params) {
-  const { bondPrice, bondType, pvCoupons, pvFaceValue } = calculations;
+  const { bondPrice, bondType, pvCoupons, pvFaceValue, floating } = calculations;
   const { faceValue, couponRate, ytm } = params;
   
   const box = createElement('div', { className: 'result-box analysis' });
@@ -92,10 +501,21 @@ function createAnalysisBox(calculations, params) {
   );
   content.appendChild(typeDiv);
   
-  // Analysis text
+  // Analysis text; a floating-rate note compares its margins instead of rates
   const analysisText = createElement('div');
   
-  if (bondType.type === 'par') {
+  if (floating) {
+    const { quotedMargin, discountMargin } = floating;
+    if (bondType.type === 'par') {
+      analysisText.textContent = `Trading at par. Quoted margin ≈ discount margin (${discountMargin} bp)`;
+    } else if (bondType.type === 'premium') {
+      analysisText.innerHTML = `Trading ${formatCurrency(bondType.difference)} above par. ` +
+        `Quoted margin (${quotedMargin} bp) &gt; discount margin (${discountMargin} bp)`;
+    } else {
+      analysisText.innerHTML = `Trading ${formatCurrency(bondType.difference)} below par. ` +
+        `Discount margin (${discountMargin} bp) &gt; quoted margin (${quotedMargin} bp)`;
+    }
+  } else if (bondType.type === 'par') {
     analysisText.textContent = `Trading at par. Coupon rate ≈ YTM (${ytm.toFixed(2)}%)`;
   } else if (bondType.type === 'premium') {
     analysisText.innerHTML = `Trading ${formatCurrency(bondType.difference)} above par. ` +
@@ -107,19 +527,297 @@ function createAnalysisBox(calculations, params) {
   
   content.appendChild(analysisText);
   
-  // Present value breakdown
+  if (floating) {
+    content.appendChild(createMarginDetails(calculations));
+    box.appendChild(content);
+    return box;
+  }
+  
+  // Present value breakdown (a zero has no coupons, a perpetual no face value)
   const breakdownDiv = createElement('div', { className: 'analysis-details' });
   
-  const pvCouponsDiv = createElement('div');
-  pvCouponsDiv.textContent = `PV coupons: ${formatCurrency(pvCoupons)}`;
-  breakdownDiv.appendChild(pvCouponsDiv);
+  if (calculations.structure !== 'zero') {
+    const pvCouponsDiv = createElement('div');
+    pvCouponsDiv.textContent = `PV coupons: ${formatCurrency(pvCoupons)}`;
+    breakdownDiv.appendChild(pvCouponsDiv);
+  }
   
-  const pvFaceDiv = createElement('div');
-  pvFaceDiv.textContent = `PV face: ${formatCurrency(pvFaceValue)}`;
-  breakdownDiv.appendChild(pvFaceDiv);
+  if (calculations.structure !== 'perpetual') {
+    const pvFaceDiv = createElement('div');
+    pvFaceDiv.textContent = `PV face: ${formatCurrency(pvFaceValue)}`;
+    breakdownDiv.appendChild(pvFaceDiv);
+  }
   
   content.appendChild(breakdownDiv);
   box.appendChild(content);
   
   return box;
 }
+
+/**
+ * Create the quoted margin versus discount margin details of a floating-rate note
+ * @param {Object} calculations - Bond calculations with `floating` pricing
+ * @returns {Element} Details element
+ */
+function createMarginDetails(calculations) {
+  const { floating, pvCoupons, pvFaceValue, ytm } = calculations;
+  const { quotedMargin, discountMargin, couponRates, discountRates } = floating;
+  const spread = quotedMargin - discountMargin;
+  
+  const details = createElement('div', { className: 'analysis-details' });
+  
+  const range = (rates) => rates[0] === rates[rates.length - 1]
+    ? `${rates[0].toFixed(2)}%`
+    : `${rates[0].toFixed(2)}% to ${rates[rates.length - 1].toFixed(2)}%`;
+  
+  [
+    `Coupon rate (reference + QM): ${range(couponRates)}`,
+    `Discount rate (reference + DM): ${range(discountRates)}`,
+    `PV coupons: ${formatCurrency(pvCoupons)}`,
+    `PV face: ${formatCurrency(pvFaceValue)}`,
+    `Implied yield-to-maturity: ${ytm.toFixed(4)}%`
+  ].forEach(text => details.appendChild(createElement('div', {}, text)));
+  
+  // Why the margins decide premium or discount
+  const explanation = spread === 0
+    ? 'The quoted margin equals the discount margin, so the note pays exactly the spread ' +
+      'investors require and is worth par on each reset date.'
+    : `The note pays ${Math.abs(spread)} bp a year ${spread > 0 ? 'more' : 'less'} over the ` +
+      `reference rate than investors require (QM − DM = ${spread < 0 ? '−' : ''}${Math.abs(spread)} bp), ` +
+      `so it trades at a ` +
+      `${spread > 0 ? 'premium' : 'discount'}: roughly the present value of that ` +
+      'spread over the remaining coupons.';
+  details.appendChild(createElement('div', { className: 'result-note' },
+    `${explanation} The quoted margin is fixed at issue; the discount margin moves with the ` +
+    'issuer\'s credit risk, and the reference rate cancels out of the comparison.'
+  ));
+  
+  return details;
+}
+
+/**
+ * Explanation of how each amortizing structure repays principal
+ */
+const AMORTIZATION_NOTES = {
+  level: 'Every payment is the same total, A = FV × c/[1 − (1 + c)^−T] at the periodic coupon rate c. ' +
+    'As the balance falls, less of each payment is interest and more is principal.',
+  straight: 'The same principal, FV/T, is repaid every period. Interest is paid on the falling ' +
+    'balance, so each payment is smaller than the one before.',
+  sinking: 'The issuer retires the entered share of face value each period and repays the rest at ' +
+    'maturity. Coupons are paid only on the principal still outstanding.'
+};
+
+/**
+ * Create the explanation box for a zero-coupon, perpetual or amortizing bond
+ * @param {Object} calculations - Bond calculations
+ * @param {Object} params - Input parameters
+ * @returns {Element} Structure box element
+ */
+function createStructureBox(calculations, params) {
+  const { structure, flatPrice, periodicCoupon, periodicYield, riskMeasures, cashFlows } = calculations;
+  const { faceValue } = params;
+  
+  const box = createElement('div', { className: 'result-box analysis' });
+  
+  const title = createElement('h5', { className: 'result-title analysis' }, {
+    zero: 'Zero-Coupon Bond',
+    perpetual: 'Perpetual Bond',
+    sinking: 'Sinking Fund Bond'
+  }[structure] || 'Amortizing Bond');
+  box.appendChild(title);
+  
+  const content = createElement('div', { 
+    className: 'risk-content',
+    'aria-live': 'polite',
+    'aria-atomic': 'true'
+  });
+  
+  let rows;
+  let note;
+  if (structure === 'zero') {
+    rows = [
+      ['Coupons', 'None'],
+      ['Discount to par', formatCurrency(faceValue - flatPrice)],
+      ['Macaulay duration', `${riskMeasures.macaulayDuration.toFixed(4)} years`]
+    ];
+    note = 'The only cash flow is the face value at maturity, so price = FV/(1 + r)^T. ' +
+      'The whole return is the discount accreting to par, and the Macaulay duration ' +
+      'equals the time to maturity.';
+  } else if (AMORTIZATION_NOTES[structure]) {
+    // Weighted-average life: years until each unit of principal is repaid
+    const repayments = cashFlows.filter(cf => cf.period > 0);
+    const finalPayment = repayments[repayments.length - 1].principalPayment;
+    const averageLife = repayments
+      .reduce((sum, cf) => sum + cf.yearLabel * cf.principalPayment, 0) / faceValue;
+    rows = [
+      ['Principal repaid before maturity', formatCurrency(faceValue - finalPayment)],
+      ['Principal repaid at maturity', formatCurrency(finalPayment)],
+      ['Weighted-average life', `${averageLife.toFixed(4)} years`]
+    ];
+    note = AMORTIZATION_NOTES[structure];
+  } else {
+    const { shownPeriods, pvShown, pvTail } = calculations.truncation;
+    const share = (value) => `${(value / calculations.bondPrice * 100).toFixed(1)}%`;
+    rows = [
+      ['Coupon-date price PMT/r', `${formatCurrency(periodicCoupon)} / ${periodicYield.toFixed(6)} = ` +
+        formatCurrency(periodicCoupon / periodicYield)],
+      [`First ${shownPeriods} coupons`, `${formatCurrency(pvShown)} (${share(pvShown)})`],
+      ['All later coupons', `${formatCurrency(pvTail)} (${share(pvTail)})`]
+    ];
+    note = 'The coupon is paid forever and the principal is never repaid, so the price is ' +
+      `the closed form PMT/r. The chart and table stop after ${shownPeriods} coupons; the ` +
+      'coupons after that are still part of the price.';
+  }
+  
+  rows.forEach(([label, value]) => {
+    content.appendChild(createElement('div', { className: 'risk-row' },
+      createElement('span', { className: 'risk-label' }, label),
+      createElement('span', { className: 'risk-value' }, value)
+    ));
+  });
+  content.appendChild(createElement('div', { className: 'result-note' }, note));
+  
+  box.appendChild(content);
+  
+  return box;
+}
+
+/**
+ * Create duration and convexity box
+ * @param {Object} riskMeasures - Risk measures from calculateRiskMeasures
+ * @returns {Element} Risk box element
+ */
+function createRiskBox(riskMeasures) {
+  const {
+    macaulayDuration,
+    modifiedDuration,
+    moneyDuration,
+    pvbp,
+    approximateDuration,
+    convexity,
+    approximateConvexity,
+    yieldShift
+  } = riskMeasures;
+  
+  const box = createElement('div', { className: 'result-box risk' });
+  
+  const title = createElement('h5', { className: 'result-title risk' }, 
+    'Duration and Convexity'
+  );
+  box.appendChild(title);
+  
+  const content = createElement('div', { 
+    className: 'risk-content',
+    'aria-live': 'polite',
+    'aria-atomic': 'true'
+  });
+  
+  const shiftBp = Math.round(yieldShift * 10000);
+  const rows = [
+    ['Macaulay duration', `${macaulayDuration.toFixed(4)} years`],
+    ['Modified duration', modifiedDuration.toFixed(4)],
+    ['Approximate modified duration', approximateDuration.toFixed(4)],
+    ['Money duration', formatCurrency(moneyDuration)],
+    ['PVBP (DV01)', `$${pvbp.toFixed(4)}`],
+    ['Convexity', convexity.toFixed(4)],
+    ['Approximate convexity', approximateConvexity.toFixed(4)]
+  ];
+  
+  rows.forEach(([label, value]) => {
+    const row = createElement('div', { className: 'risk-row' },
+      createElement('span', { className: 'risk-label' }, label),
+      createElement('span', { className: 'risk-value' }, value)
+    );
+    content.appendChild(row);
+  });
+  
+  const note = createElement('div', { className: 'result-note' },
+    `Approximate measures reprice the bond ±${shiftBp} bp around the current yield.`
+  );
+  content.appendChild(note);
+  
+  box.appendChild(content);
+  
+  return box;
+}
+
+/**
+ * Describe a scenario's coupon for the comparison table
+ * @param {Object} calculations - Bond calculations
+ * @param {Object} inputs - Scenario inputs
+ * @returns {string} Coupon rate, "Zero", or reference rate plus quoted margin
+ */
+function couponText(calculations, inputs) {
+  if (calculations.structure === 'zero') return 'Zero';
+  if (calculations.floating) return `Ref + ${calculations.floating.quotedMargin} bp`;
+  return `${inputs.couponRate.toFixed(2)}%`;
+}
+
+/**
+ * Create scenario comparison box
+ * @param {Array} comparison - Scenarios ({ name, active, inputs, calculations })
+ * @returns {Element} Comparison box element
+ */
+function createComparisonBox(comparison) {
+  const box = createElement('div', { className: 'result-box comparison' });
+  
+  const title = createElement('h5', { className: 'result-title comparison' }, 
+    'Scenario Comparison'
+  );
+  box.appendChild(title);
+  
+  const wrapper = createElement('div', { className: 'table-wrapper' });
+  const table = createElement('table', { className: 'data-table comparison-table' });
+  
+  table.appendChild(createElement('caption', {},
+    'Comparison of bond scenarios: coupon rate, yield-to-maturity, maturity, ' +
+    'price and interest rate risk. The scenario being edited is marked as current.'
+  ));
+  
+  // Header row
+  const thead = createElement('thead');
+  const headerRow = createElement('tr');
+  ['Bond', 'Coupon', 'YTM', 'Years', 'Price', 'Mod. dur.', 'Convexity'].forEach((text, index) => {
+    headerRow.appendChild(createElement('th', {
+      scope: 'col',
+      className: index === 0 ? 'text-left' : 'text-right'
+    }, text));
+  });
+  thead.appendChild(headerRow);
+  table.appendChild(thead);
+  
+  // One row per scenario
+  const tbody = createElement('tbody');
+  comparison.forEach(({ name, active, inputs, calculations }) => {
+    const tr = createElement('tr', { className: active ? 'active-scenario' : '' });
+    
+    const nameTh = createElement('th', { scope: 'row', className: 'text-left' }, name);
+    if (active) {
+      nameTh.appendChild(createElement('span', { className: 'sr-only' }, ' (current)'));
+    }
+    tr.appendChild(nameTh);
+    
+    const cells = calculations
+      ? [
+        couponText(calculations, inputs),
+        `${calculations.ytm.toFixed(2)}%`,
+        calculations.structure === 'perpetual' ? '∞' : String(inputs.years),
+        formatCurrency(calculations.bondPrice),
+        calculations.riskMeasures.modifiedDuration.toFixed(2),
+        calculations.riskMeasures.convexity.toFixed(2)
+      ]
+      : ['—', '—', '—', 'Invalid inputs', '—', '—'];
+    
+    cells.forEach(text => {
+      tr.appendChild(createElement('td', { className: 'text-right' }, text));
+    });
+    
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+  
+  wrapper.appendChild(table);
+  box.appendChild(wrapper);
+  
+  return box;
+}
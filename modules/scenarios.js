@@ -0,0 +1,106 @@
+/**
+ * Scenarios Module
+ * Pure helpers for the list of bond scenarios compared side by side
+ */
+
+/**
+ * Input fields stored with each scenario
+ */
+export const SCENARIO_INPUT_KEYS = [
+  'structure',
+  'couponRate',
+  'ytm',
+  'years',
+  'frequency',
+  'faceValue',
+  'price',
+  'lastCouponDate',
+  'settlementDate',
+  'dayCount',
+  'solveFor',
+  'pricingMode',
+  'spotRates',
+  'sinkingFund',
+  'referenceRate',
+  'referencePath',
+  'referenceRates',
+  'quotedMargin',
+  'discountMargin',
+  'embeddedOption',
+  'optionSchedule'
+];
+
+/**
+ * Copy the scenario input fields from an object (e.g., state)
+ * @param {Object} source - Object holding input values
+ * @returns {Object} Input values only
+ */
+export function pickInputs(source) {
+  const inputs = {};
+  
+  SCENARIO_INPUT_KEYS.forEach(key => {
+    // Copy lists (and the entries of schedules) so scenarios never share them with state
+    inputs[key] = Array.isArray(source[key])
+      ? source[key].map(entry => (typeof entry === 'object' ? { ...entry } : entry))
+      : source[key];
+  });
+  
+  return inputs;
+}
+
+/**
+ * Suggest a name for a new scenario ("Bond A", "Bond B", ...)
+ * @param {Array} scenarios - Existing scenarios
+ * @returns {string} Unused scenario name
+ */
+export function nextScenarioName(scenarios) {
+  const names = new Set(scenarios.map(scenario => scenario.name));
+  
+  for (let i = 0; ; i++) {
+    // A–Z, then AA, AB, ...
+    const letters = i < 26
+      ? String.fromCharCode(65 + i)
+      : String.fromCharCode(64 + Math.floor(i / 26)) + String.fromCharCode(65 + (i % 26));
+    const name = `Bond ${letters}`;
+  
+    if (!names.has(name)) {
+      return name;
+    }
+  }
+}
+
+/**
+ * Create a scenario with a unique id
+ * @param {Array} scenarios - Existing scenarios
+ * @param {string} name - Scenario name
+ * @param {Object} inputs - Input values
+ * @returns {Object} New scenario
+ */
+export function createScenario(scenarios, name, inputs) {
+  const id = scenarios.reduce((max, scenario) => Math.max(max, scenario.id), 0) + 1;
+  
+  return { id, name, inputs: pickInputs(inputs) };
+}
+
+/**
+ * Return a scenario list with one scenario changed
+ * @param {Array} scenarios - Existing scenarios
+ * @param {number} id - Scenario id
+ * @param {Object} changes - Properties to replace (name and/or inputs)
+ * @returns {Array} Updated scenario list
+ */
+export function updateScenario(scenarios, id, changes) {
+  return scenarios.map(scenario =>
+    scenario.id === id ? { ...scenario, ...changes } : scenario
+  );
+}
+
+/**
+ * Find a scenario by id
+ * @param {Array} scenarios - Existing scenarios
+ * @param {number} id - Scenario id
+ * @returns {Object|undefined} Scenario
+ */
+export function findScenario(scenarios, id) {
+  return scenarios.find(scenario => scenario.id === id);
+}
@@ -0,0 +1,424 @@
+/**
+ * Worked Solution Module
+ * Renders the bond price equation with the current numbers substituted,
+ * step by step, as MathML with an HTML fallback
+ */
+
+import { formatCurrency, createElement } from './utils.js';
+import { AMORTIZING_STRUCTURES } from './calculations.js';
+
+const MATHML_NS = 'http://www.w3.org/1998/Math/MathML';
+
+// Same color coding as the symbolic equation
+const COLORS = {
+  pv: '#b95b1d',
+  pmt: '#3369FF',
+  rate: '#7a46ff',
+  fv: '#32959a',
+  fvText: '#49b2b8'
+};
+
+/**
+ * Format a number with at most the given decimals (trailing zeros trimmed)
+ * @param {number} value - Number to format
+ * @param {number} decimals - Maximum decimal places
+ * @returns {string} Formatted number
+ */
+function trimmed(value, decimals) {
+  return String(parseFloat(value.toFixed(decimals)));
+}
+
+/**
+ * Check whether the browser renders MathML
+ * @returns {boolean} True if MathML is supported
+ */
+export function supportsMathML() {
+  return typeof CSS !== 'undefined' && CSS.supports('math-style: normal');
+}
+
+/**
+ * Create a MathML element
+ * @param {string} tag - MathML tag name
+ * @param {Object} attrs - Attributes
+ * @param  {...(string|Element)} children - Child elements or text
+ * @returns {Element} MathML element
+ */
+function math(tag, attrs = {}, ...children) {
+  const element = document.createElementNS(MATHML_NS, tag);
+  
+  Object.entries(attrs).forEach(([key, value]) => {
+    element.setAttribute(key, value);
+  });
+  
+  children.forEach(child => {
+    if (child == null) return;
+    element.appendChild(typeof child === 'string' ? document.createTextNode(child) : child);
+  });
+  
+  return element;
+}
+
+/**
+ * Build the substituted equation in MathML
+ * @param {Object} values - Formatted PMT, r, T and FV, and whether the rates vary by period
+ * @param {string} structure - Key of BOND_STRUCTURES
+ * @returns {Element} <math> element
+ */
+function buildMathML({ pmt, r, T, fv, varying }, structure) {
+  const rate = () => math('mn', { mathcolor: COLORS.rate }, r);
+  const growth = () => math('msup', {},
+    math('mrow', {}, math('mo', {}, '('), math('mn', {}, '1'), math('mo', {}, '+'), rate(), math('mo', {}, ')')),
+    math('mn', {}, T)
+  );
+  const pv = (name) => math('msub', {},
+    math('mi', { mathcolor: COLORS.pv }, 'PV'),
+    math('mtext', { mathcolor: COLORS.pv }, name)
+  );
+  
+  if (structure === 'zero') {
+    return math('math', { display: 'block' },
+      math('mrow', {},
+        pv('zero-coupon bond'),
+        math('mo', {}, '='),
+        math('mfrac', {},
+          math('mn', { mathvariant: 'bold', mathcolor: COLORS.fv }, fv),
+          growth()
+        )
+      )
+    );
+  }
+  
+  if (AMORTIZING_STRUCTURES.includes(structure)) {
+    const sub = (name, color) => math('msub', {},
+      math('mi', { mathvariant: 'bold', mathcolor: color }, name),
+      math('mi', {}, 't')
+    );
+    return math('math', { display: 'block' },
+      math('mrow', {},
+        pv('amortizing bond'),
+        math('mo', {}, '='),
+        math('munderover', {},
+          math('mo', {}, '∑'),
+          math('mrow', {}, math('mi', {}, 't'), math('mo', {}, '='), math('mn', {}, '1')),
+          math('mn', {}, T)
+        ),
+        math('mfrac', {},
+          math('mrow', {}, sub('I', COLORS.pmt), math('mo', {}, '+'), sub('P', COLORS.fv)),
+          math('msup', {},
+            math('mrow', {}, math('mo', {}, '('), math('mn', {}, '1'), math('mo', {}, '+'), rate(), math('mo', {}, ')')),
+            math('mi', {}, 't')
+          )
+        )
+      )
+    );
+  }
+  
+  if (structure === 'frn' && varying) {
+    const sub = (name, color, index) => math('msub', {},
+      math('mi', { mathvariant: 'bold', mathcolor: color }, name),
+      math('mi', {}, index)
+    );
+    const factor = (index) => math('mrow', {},
+      math('mo', {}, '('), math('mn', {}, '1'), math('mo', {}, '+'),
+      sub('r', COLORS.rate, index), math('mo', {}, ')')
+    );
+    return math('math', { display: 'block' },
+      math('mrow', {},
+        pv('floating-rate note'),
+        math('mo', {}, '='),
+        math('munderover', {},
+          math('mo', {}, '∑'),
+          math('mrow', {}, math('mi', {}, 't'), math('mo', {}, '='), math('mn', {}, '1')),
+          math('mn', {}, T)
+        ),
+        math('mfrac', {},
+          math('mrow', {}, sub('PMT', COLORS.pmt, 't'), math('mo', {}, '+'), sub('P', COLORS.fv, 't')),
+          math('mrow', {}, factor('1'), factor('2'), math('mo', {}, '⋯'), factor('t'))
+        )
+      )
+    );
+  }
+  
+  if (structure === 'perpetual') {
+    return math('math', { display: 'block' },
+      math('mrow', {},
+        pv('perpetual bond'),
+        math('mo', {}, '='),
+        math('mfrac', {},
+          math('mn', { mathvariant: 'bold', mathcolor: COLORS.pmt }, pmt),
+          rate()
+        )
+      )
+    );
+  }
+  
+  return math('math', { display: 'block' },
+    math('mrow', {},
+      pv(structure === 'frn' ? 'floating-rate note' : 'coupon bond'),
+      math('mo', {}, '='),
+      math('mfrac', {},
+        math('mn', { mathvariant: 'bold', mathcolor: COLORS.pmt }, pmt),
+        rate()
+      ),
+      math('mo', {}, '×'),
+      math('mrow', {},
+        math('mo', {}, '['),
+        math('mn', {}, '1'),
+        math('mo', {}, '−'),
+        math('mfrac', {}, math('mn', {}, '1'), growth()),
+        math('mo', {}, ']')
+      ),
+      math('mo', {}, '+'),
+      math('mfrac', {},
+        math('mn', { mathvariant: 'bold', mathcolor: COLORS.fv }, fv),
+        growth()
+      )
+    )
+  );
+}
+
+/**
+ * Build the substituted equation as colored HTML text
+ * @param {Object} values - Formatted PMT, r, T and FV, and whether the rates vary by period
+ * @param {string} structure - Key of BOND_STRUCTURES
+ * @returns {Element} Fallback element
+ */
+function buildHTMLFallback({ pmt, r, T, fv, varying }, structure) {
+  const colored = (text, color, bold = false) => createElement('span', {
+    className: bold ? 'bold' : '',
+    style: { color }
+  }, text);
+  const growth = () => [
+    '(1 + ', colored(r, COLORS.rate), ')', createElement('sup', {}, T)
+  ];
+  const pv = (name) => [
+    colored('PV', COLORS.pv, true), createElement('sub', {}, colored(name, COLORS.pv, true))
+  ];
+  
+  if (structure === 'zero') {
+    return createElement('div', { className: 'worked-equation-html' },
+      ...pv('zero-coupon bond'), ' = ', colored(fv, COLORS.fvText), '/', ...growth()
+    );
+  }
+  
+  if (AMORTIZING_STRUCTURES.includes(structure)) {
+    return createElement('div', { className: 'worked-equation-html' },
+      ...pv('amortizing bond'), ' = Σ (', colored('I', COLORS.pmt, true), createElement('sub', {}, 't'),
+      ' + ', colored('P', COLORS.fvText, true), createElement('sub', {}, 't'),
+      ')/(1 + ', colored(r, COLORS.rate), ')', createElement('sup', {}, 't'),
+      ` for t = 1 to ${T}`
+    );
+  }
+  
+  if (structure === 'frn' && varying) {
+    const sub = (name, color, index) => [colored(name, color, true), createElement('sub', {}, index)];
+    return createElement('div', { className: 'worked-equation-html' },
+      ...pv('floating-rate note'), ' = Σ (', ...sub('PMT', COLORS.pmt, 't'),
+      ' + ', ...sub('P', COLORS.fvText, 't'), ')/[(1 + ', ...sub('r', COLORS.rate, '1'),
+      ')(1 + ', ...sub('r', COLORS.rate, '2'), ')⋯(1 + ', ...sub('r', COLORS.rate, 't'), ')]',
+      ` for t = 1 to ${T}`
+    );
+  }
+  
+  if (structure === 'perpetual') {
+    return createElement('div', { className: 'worked-equation-html' },
+      ...pv('perpetual bond'), ' = ', colored(pmt, COLORS.pmt), '/', colored(r, COLORS.rate)
+    );
+  }
+  
+  return createElement('div', { className: 'worked-equation-html' },
+    ...pv(structure === 'frn' ? 'floating-rate note' : 'coupon bond'),
+    ' = ', colored(pmt, COLORS.pmt), '/', colored(r, COLORS.rate),
+    ' × [1 − 1/', ...growth(), '] + ',
+    colored(fv, COLORS.fvText), '/', ...growth()
+  );
+}
+
+/**
+ * Render the worked solution for the current calculations
+ * @param {Object} calculations - Bond calculations
+ * @param {Object} params - Input parameters (faceValue, couponRate, ytm, years, frequency)
+ */
+export function renderWorkedSolution(calculations, params) {
+  const container = document.getElementById('worked-solution-content');
+  
+  if (!container) {
+    console.error('Worked solution container not found');
+    return;
+  }
+  
+  const { periodicCoupon, periodicYield, periods, accrualFraction, accruedInterest, flatPrice, bondPrice } = calculations;
+  const { faceValue, couponRate, ytm, frequency, years } = params;
+  const structure = calculations.structure || 'coupon';
+  
+  // A floating-rate note discounts at the reference rate plus discount margin,
+  // which may change from period to period
+  const { floating } = calculations;
+  const rate = floating ? floating.discountRates[0] / 100 / frequency : periodicYield;
+  const varying = Boolean(floating) &&
+    floating.referenceRates.some(reference => reference !== floating.referenceRates[0]);
+  
+  const values = {
+    pmt: trimmed(periodicCoupon, 4),
+    r: trimmed(rate, 6),
+    T: String(periods),
+    fv: trimmed(faceValue, 2),
+    varying
+  };
+  
+  // Factors; with a zero yield the annuity factor is simply T
+  const discountFactor = 1 / Math.pow(1 + rate, periods);
+  const annuityFactor = rate === 0
+    ? periods
+    : (1 - discountFactor) / rate;
+  
+  // The equation values the bond on the last coupon date; amortizing flows are
+  // discounted one by one
+  const amortizing = AMORTIZING_STRUCTURES.includes(structure);
+  const futureFlows = calculations.cashFlows.filter(cf => cf.period > 0);
+  const discountedSum = (key) => futureFlows
+    .reduce((sum, cf) => sum + cf[key] / Math.pow(1 + periodicYield, cf.period), 0);
+  
+  let pvCoupons = periodicCoupon * annuityFactor;
+  let pvFaceValue = faceValue * discountFactor;
+  if (structure === 'perpetual') {
+    pvCoupons = periodicCoupon / periodicYield;
+    pvFaceValue = 0;
+  } else if (amortizing) {
+    pvCoupons = discountedSum('couponPayment');
+    pvFaceValue = discountedSum('principalPayment');
+  } else if (varying) {
+    // Compounded period by period, valued on the last coupon date
+    const carry = Math.pow(1 + rate, accrualFraction);
+    pvCoupons = futureFlows.reduce((sum, cf) => sum + cf.couponPayment * cf.discountFactor * carry, 0);
+    pvFaceValue = futureFlows.reduce((sum, cf) => sum + cf.principalPayment * cf.discountFactor * carry, 0);
+  }
+  const couponDatePrice = pvCoupons + pvFaceValue;
+  
+  container.innerHTML = '';
+  
+  // Off a spot curve, r is the implied yield that reproduces the curve price
+  if (calculations.spotPricing) {
+    container.appendChild(createElement('p', { className: 'result-note' },
+      `Priced off the spot curve. The steps below use the implied yield-to-maturity ` +
+      `(${trimmed(ytm, 4)}%), which gives the same price as discounting at each spot rate.`
+    ));
+  }
+  
+  // Substituted equation (MathML, or HTML where MathML is not rendered)
+  const equation = createElement('div', { className: 'worked-equation' });
+  if (supportsMathML()) {
+    equation.appendChild(buildMathML(values, structure));
+  } else {
+    equation.appendChild(buildHTMLFallback(values, structure));
+  }
+  container.appendChild(equation);
+  
+  // Intermediate results
+  const couponStep = `Coupon per period: PMT = ${trimmed(faceValue, 2)} × ${trimmed(couponRate, 4)}% ÷ ` +
+    `${frequency} = ${values.pmt}`;
+  const yieldStep = `Yield per period: r = ${trimmed(ytm, 4)}% ÷ ${frequency} = ${values.r}`;
+  const periodsStep = `Number of periods: T = ${trimmed(years, 2)} × ${frequency} = ${values.T}`;
+  const discountStep = `Discount factor: 1/(1 + r)^T = ${discountFactor.toFixed(6)}`;
+  const faceStep = `PV of face value: FV × discount factor = ${values.fv} × ${discountFactor.toFixed(6)} = ` +
+    formatCurrency(pvFaceValue);
+  
+  const first = futureFlows[0];
+  const last = futureFlows[futureFlows.length - 1];
+  const principalStep = {
+    level: `Level payment: A = FV × c/[1 − (1 + c)^−T] with c = ${trimmed(couponRate, 4)}% ÷ ${frequency} ` +
+      `= ${formatCurrency(first.totalCashFlow)}`,
+    straight: `Principal per period: FV/T = ${values.fv} ÷ ${values.T} = ${formatCurrency(first.principalPayment)}`,
+    sinking: `Principal: ${formatCurrency(faceValue - last.principalPayment)} retired by the sinking fund, ` +
+      `${formatCurrency(last.principalPayment)} repaid at maturity`
+  }[structure];
+  const amortizingSteps = amortizing && [
+    principalStep,
+    `Interest I_t = ${trimmed(couponRate, 4)}% ÷ ${frequency} × balance outstanding, from ` +
+      `${formatCurrency(first.couponPayment)} in period 1 to ${formatCurrency(last.couponPayment)} in period ${values.T}`,
+    yieldStep,
+    periodsStep,
+    `PV of interest: Σ I_t/(1 + r)^t = ${formatCurrency(pvCoupons)}`,
+    `PV of principal: Σ P_t/(1 + r)^t = ${formatCurrency(pvFaceValue)}`
+  ];
+  
+  const annuitySteps = [
+    periodsStep,
+    discountStep,
+    rate === 0
+      ? `Annuity factor: r = 0, so [1 − 1/(1 + r)^T]/r = T = ${values.T}`
+      : `Annuity factor: [1 − 1/(1 + r)^T]/r = ${annuityFactor.toFixed(6)}`,
+    `PV of coupons: PMT × annuity factor = ${values.pmt} × ${annuityFactor.toFixed(6)} = ${formatCurrency(pvCoupons)}`,
+    faceStep
+  ];
+  
+  const floatingSteps = floating && (varying
+    ? [
+      `Coupon in period t: PMT_t = FV × (reference rate_t + QM) ÷ ${frequency}, from ` +
+        `${formatCurrency(first.couponPayment)} in period 1 to ${formatCurrency(last.couponPayment)} in period ${values.T}`,
+      `Discount rate in period t: r_t = (reference rate_t + DM) ÷ ${frequency}, from ${values.r} in period 1 ` +
+        `to ${trimmed(floating.discountRates[periods - 1] / 100 / frequency, 6)} in period ${values.T}`,
+      periodsStep,
+      `PV of coupons: Σ PMT_t/[(1 + r_1)⋯(1 + r_t)] = ${formatCurrency(pvCoupons)}`,
+      `PV of face value: FV/[(1 + r_1)⋯(1 + r_T)] = ${formatCurrency(pvFaceValue)}`
+    ]
+    : [
+      `Coupon per period: PMT = ${values.fv} × (${trimmed(floating.referenceRates[0], 4)}% + ` +
+        `${floating.quotedMargin} bp) ÷ ${frequency} = ${values.pmt}`,
+      `Discount rate per period: r = (${trimmed(floating.referenceRates[0], 4)}% + ` +
+        `${floating.discountMargin} bp) ÷ ${frequency} = ${values.r}`,
+      ...annuitySteps
+    ]);
+  
+  const steps = amortizingSteps || floatingSteps || {
+    coupon: [couponStep, yieldStep, ...annuitySteps],
+    zero: [yieldStep, periodsStep, discountStep, faceStep],
+    perpetual: [
+      couponStep,
+      yieldStep,
+      `PV of coupons forever: PMT/r = ${values.pmt} ÷ ${values.r} = ${formatCurrency(pvCoupons)}`
+    ]
+  }[structure];
+  
+  const list = createElement('ol', { className: 'worked-steps' });
+  steps.forEach(step => list.appendChild(createElement('li', {}, step)));
+  container.appendChild(list);
+  
+  // Between coupon dates, carry the coupon-date value forward to settlement
+  if (accrualFraction > 0) {
+    const w = accrualFraction.toFixed(4);
+    const { daysAccrued, daysInPeriod } = calculations.settlement;
+    list.appendChild(createElement('li', {},
+      `Fraction of the period elapsed: t/T = ${daysAccrued}/${trimmed(daysInPeriod, 2)} = ${w}`
+    ));
+    if (structure === 'coupon' || structure === 'frn' || amortizing) {
+      list.appendChild(createElement('li', {},
+        `Price on the last coupon date: ${formatCurrency(pvCoupons)} + ${formatCurrency(pvFaceValue)} = ` +
+        formatCurrency(couponDatePrice)
+      ));
+    }
+    list.appendChild(createElement('li', {},
+      `Full price: PV × (1 + r)^(t/T) = ${formatCurrency(couponDatePrice)} × (1 + ${values.r})^${w} = ` +
+      formatCurrency(bondPrice)
+    ));
+    list.appendChild(createElement('li', {},
+      `Accrued interest: t/T × PMT = ${w} × ${values.pmt} = ${formatCurrency(accruedInterest)}`
+    ));
+  }
+  
+  // Final price
+  const sum = {
+    zero: 'FV × discount factor',
+    perpetual: 'PMT/r'
+  }[structure] || `${formatCurrency(pvCoupons)} + ${formatCurrency(pvFaceValue)}`;
+  const total = accrualFraction > 0
+    ? createElement('p', { className: 'worked-total' },
+      `Flat price = ${formatCurrency(bondPrice)} − ${formatCurrency(accruedInterest)} = `,
+      createElement('strong', {}, formatCurrency(flatPrice))
+    )
+    : createElement('p', { className: 'worked-total' },
+      `Price = ${sum} = `,
+      createElement('strong', {}, formatCurrency(bondPrice))
+    );
+  container.appendChild(total);
+}
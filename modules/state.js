@@ -1,21 +1,71 @@
 /**
  * State Management Module
- * Simple observable state pattern for reactive updates
+ * Observable state with key-scoped subscriptions, batched updates and
+ * memoized derived values
  */
 
 export const state = {
   // Input values
+  structure: 'coupon', // Key of BOND_STRUCTURES, e.g. 'coupon', 'zero', 'perpetual', 'sinking' or 'frn'
   faceValue: 100,
   frequency: 2, // Semi-annual
   couponRate: 8.6,
   ytm: 6.5,
   years: 5,
+  price: 108.84, // Market price (input when solving for YTM)
+  lastCouponDate: '2026-05-15', // Years-to-maturity are counted from this date
+  settlementDate: '2026-05-15', // On or after the last coupon date, before the next
+  dayCount: '30/360', // Key of DAY_COUNT_CONVENTIONS
+  
+  // Which quantity is solved for: 'price' (from YTM) or 'ytm' (from price)
+  solveFor: 'price',
+  
+  // Discount with one yield ('ytm') or a spot rate per period ('spot')
+  pricingMode: 'ytm',
+  spotRates: [5, 5.25, 5.5, 5.75, 6, 6.2, 6.4, 6.55, 6.7, 6.8], // Annual %, one per period
+  
+  // Percent of face value retired each period before maturity (sinking fund bonds)
+  sinkingFund: [0, 0, 0, 0, 10, 10, 10, 10, 10],
+  
+  // Floating-rate notes: reference rate (flat, or one per period) plus margins in basis points
+  referenceRate: 4.5,
+  referencePath: 'flat', // 'flat' or 'custom'
+  referenceRates: [4.5, 4.6, 4.7, 4.8, 4.9, 5, 5.1, 5.2, 5.3, 5.4],
+  quotedMargin: 50,
+  discountMargin: 75,
+  
+  // Embedded option ('none', 'call' or 'put') and its exercise dates with prices per 100 of par
+  embeddedOption: 'none',
+  optionSchedule: [
+    { date: '2028-05-15', price: 102 },
+    { date: '2029-05-15', price: 101 },
+    { date: '2030-05-15', price: 100 }
+  ],
+  
+  // Par yield curve bootstrapped in the yield curve view (annual %, one per period)
+  parYields: [5, 5.2, 5.4, 5.55, 5.7, 5.85, 6, 6.1, 6.2, 6.3],
+  
+  // Horizon return view: years held, rate coupons are reinvested at and yield the bond is sold at
+  horizonYears: 3,
+  reinvestmentRate: 6.5,
+  saleYield: 6.5,
   
   // UI state
-  viewMode: 'chart',
+  viewMode: 'chart', // 'chart', 'table', 'curve', 'path', 'term' or 'horizon'
+  chartValues: 'nominal', // 'nominal', 'pv' or 'both'
+  showLabels: true, // Value labels on the cash flow bars (shown only on wide screens)
+  
+  // Bond scenarios compared side by side; the active one mirrors the inputs above
+  scenarios: [],
+  activeScenarioId: null,
+  overlayScenarios: false,
+  
+  // Bonds saved in this browser ({ name, savedAt, inputs }), sorted by name
+  savedBonds: [],
   
-  // Calculated values (computed on demand)
+  // Calculated values (derived from the inputs, see derive)
   bondCalculations: null,
+  comparison: [], // Every scenario with its calculations, when there is more than one
   
   // Validation errors
   errors: {},
@@ -24,26 +74,59 @@ export const state = {
   listeners: []
 };
 
+// Derived values, each recomputed when the inputs it selects change
+const derivations = [];
+
+// Keys changed since listeners were last notified, and how many batches are open
+let changedKeys = new Set();
+let batchDepth = 0;
+
 /**
  * Update state and notify listeners
+ * Only keys whose value actually changes are reported; inside a batch the
+ * notification waits until the outermost batch ends.
  * @param {Object} updates - Object with state properties to update
  */
 export function setState(updates) {
-  Object.assign(state, updates);
-  notifyListeners();
+  assignChanges(updates);
+  
+  if (batchDepth === 0) {
+    flush();
+  }
+}
+
+/**
+ * Apply several updates with one notification
+ * @param {Function} callback - Function making the updates
+ */
+export function batch(callback) {
+  batchDepth++;
+  try {
+    callback();
+  } finally {
+    batchDepth--;
+  }
+  
+  if (batchDepth === 0) {
+    flush();
+  }
 }
 
 /**
  * Subscribe to state changes
- * @param {Function} callback - Function to call when state changes
+ * @param {Function} callback - Function to call with the state and the
+ *   changed keys (a Set) when state changes
+ * @param {Array<string>|null} keys - Only call back when one of these keys
+ *   changes (null for every change)
  * @returns {Function} Unsubscribe function
  */
-export function subscribe(callback) {
-  state.listeners.push(callback);
+export function subscribe(callback, keys = null) {
+  const listener = { callback, keys };
+  state.listeners.push(listener);
   
   // Return unsubscribe function
   return () => {
-    const index = state.listeners.indexOf(callback);
+    const index = state.listeners.indexOf(listener);
     if (index > -1) {
       state.listeners.splice(index, 1);
     }
@@ -51,12 +134,74 @@ export function subscribe(callback) {
 }
 
 /**
- * Notify all listeners of state change
+ * Define state derived from other state
+ * The derivation runs straight away (at the end of an open batch), then
+ * whenever a value returned by `select` changes, compared by identity, so
+ * unrelated updates never recompute it.
+ * @param {Function} select - Returns the array of values the derivation reads
+ * @param {Function} compute - Returns the state updates derived from the state
+ */
+export function derive(select, compute) {
+  derivations.push({ select, compute, inputs: null });
+  setState({});
+}
+
+/**
+ * Set the updated keys that actually change, noting them for listeners
+ * @param {Object} updates - Object with state properties to update
+ */
+function assignChanges(updates) {
+  Object.entries(updates).forEach(([key, value]) => {
+    if (!Object.is(state[key], value)) {
+      state[key] = value;
+      changedKeys.add(key);
+    }
+  });
+}
+
+/**
+ * Recompute derivations whose inputs changed
+ * A derivation that throws is logged and leaves its keys as they were.
+ */
+function recomputeDerivations() {
+  derivations.forEach(derivation => {
+    const inputs = derivation.select(state);
+    const unchanged = derivation.inputs &&
+      inputs.length === derivation.inputs.length &&
+      inputs.every((value, index) => Object.is(value, derivation.inputs[index]));
+    if (unchanged) return;
+    
+    derivation.inputs = inputs;
+    try {
+      assignChanges(derivation.compute(state));
+    } catch (error) {
+      console.error('Error in derived state:', error);
+    }
+  });
+}
+
+/**
+ * Bring derived state up to date and notify listeners of the changes
+ */
+function flush() {
+  recomputeDerivations();
+  if (changedKeys.size === 0) return;
+  
+  const changed = changedKeys;
+  changedKeys = new Set();
+  notifyListeners(changed);
+}
+
+/**
+ * Notify listeners watching any of the changed keys
+ * @param {Set<string>} changed - Keys that changed
  */
-function notifyListeners() {
-  state.listeners.forEach(callback => {
+function notifyListeners(changed) {
+  state.listeners.forEach(({ callback, keys }) => {
+    if (keys && !keys.some(key => changed.has(key))) return;
+    
     try {
-      callback(state);
+      callback(state, changed);
     } catch (error) {
       console.error('Error in state listener:', error);
     }
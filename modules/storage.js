@@ -0,0 +1,156 @@
+/**
+ * Storage Module
+ * Saved bonds and preferences kept in the browser's localStorage, under a
+ * version number so older data can be migrated to the current shape
+ */
+
+/**
+ * localStorage key holding all stored data
+ */
+const STORAGE_KEY = 'bond-calculator';
+
+/**
+ * localStorage key holding a copy of stored data that could not be read
+ */
+const BACKUP_KEY = 'bond-calculator-unread';
+
+/**
+ * Version of the stored data shape; raise it (and add a migration) whenever
+ * the shape of saved bonds or preferences changes
+ */
+export const STORAGE_VERSION = 1;
+
+/**
+ * Migrations keyed by the version they upgrade from, each taking stored data
+ * in that version's shape and returning it in the next version's shape.
+ * None are needed yet.
+ */
+const MIGRATIONS = {};
+
+/**
+ * Stored data when there is none yet
+ * @returns {Object} Empty stored data
+ */
+function emptyData() {
+  return { version: STORAGE_VERSION, preferences: {}, savedBonds: [] };
+}
+
+/**
+ * Bring stored data up to the current version
+ * @param {Object} data - Parsed stored data
+ * @returns {Object|null} Data in the current shape, or null if it is not
+ *   versioned, comes from a newer version or has a step with no migration
+ */
+export function migrateStoredData(data) {
+  if (!data || !Number.isInteger(data.version)) return null;
+  
+  let { version } = data;
+  let migrated = data;
+  
+  while (version < STORAGE_VERSION) {
+    if (!MIGRATIONS[version]) return null;
+    migrated = MIGRATIONS[version](migrated);
+    version++;
+  }
+  
+  if (version > STORAGE_VERSION) return null;
+  
+  return {
+    version,
+    preferences: { ...migrated.preferences },
+    savedBonds: Array.isArray(migrated.savedBonds) ? migrated.savedBonds.filter(isSavedBond) : []
+  };
+}
+
+/**
+ * Check that a stored entry has the shape of a saved bond
+ * @param {*} bond - Stored entry
+ * @returns {boolean} True for { name, savedAt, inputs }
+ */
+function isSavedBond(bond) {
+  return Boolean(bond) &&
+    typeof bond.name === 'string' &&
+    typeof bond.savedAt === 'string' &&
+    typeof bond.inputs === 'object' && bond.inputs !== null;
+}
+
+/**
+ * Read the stored data, migrated to the current version
+ * Data that cannot be read or migrated (such as data from a newer version) is
+ * not loaded. It is flagged `unread`, and copied to a backup key first so the
+ * next save does not lose it (`backedUp` is false if the copy failed).
+ * @returns {Object} Stored data ({ version, preferences, savedBonds, unread, backedUp })
+ */
+export function loadStoredData() {
+  let text = null;
+  
+  try {
+    text = localStorage.getItem(STORAGE_KEY);
+    if (text === null) return emptyData();
+    
+    const data = migrateStoredData(JSON.parse(text));
+    if (data) return data;
+    
+    console.warn('Saved bonds and preferences are in an unknown format and were not loaded');
+  } catch (error) {
+    console.warn('Saved bonds and preferences could not be read:', error);
+  }
+  
+  return { ...emptyData(), unread: true, backedUp: text !== null && backUpStoredText(text) };
+}
+
+/**
+ * Keep a copy of stored data that could not be read
+ * @param {string} text - Stored text
+ * @returns {boolean} True if the copy was written
+ */
+function backUpStoredText(text) {
+  try {
+    localStorage.setItem(BACKUP_KEY, text);
+    return true;
+  } catch (error) {
+    console.warn('Unread saved bonds and preferences could not be backed up:', error);
+    return false;
+  }
+}
+
+/**
+ * Write the stored data
+ * @param {Object} data - Stored data ({ preferences, savedBonds })
+ * @returns {boolean} True if saved (storage can be full or disabled)
+ */
+export function saveStoredData({ preferences, savedBonds }) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: STORAGE_VERSION, preferences, savedBonds }));
+    return true;
+  } catch (error) {
+    console.warn('Saved bonds and preferences could not be written:', error);
+    return false;
+  }
+}
+
+/**
+ * Return a saved bond list with a bond saved under a name
+ * Saving under an existing name (ignoring case) replaces that bond.
+ * @param {Array} savedBonds - Saved bonds
+ * @param {string} name - Name to save under
+ * @param {Object} inputs - Input values (as from pickInputs)
+ * @param {string} savedAt - When the bond is saved (ISO 8601)
+ * @returns {Array} Updated saved bonds, sorted by name
+ */
+export function saveBond(savedBonds, name, inputs, savedAt) {
+  const others = savedBonds.filter(bond => bond.name.toLowerCase() !== name.toLowerCase());
+  
+  return [...others, { name, savedAt, inputs }]
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Return a saved bond list without a bond
+ * @param {Array} savedBonds - Saved bonds
+ * @param {string} name - Name of the bond to delete
+ * @returns {Array} Remaining saved bonds
+ */
+export function deleteBond(savedBonds, name) {
+  return savedBonds.filter(bond => bond.name !== name);
+}
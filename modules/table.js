@@ -3,7 +3,9 @@
  * Table rendering with semantic HTML and accessibility
  */
 
-import { formatCurrency, createElement } from './utils.js';
+import { formatCurrency, formatFaceValue, formatYears, formatBasisPoints, frequencyLabel, createElement } from './utils.js';
+import { AMORTIZING_STRUCTURES } from './calculations.js';
+import { horizonShiftLabel } from './horizon.js';
 
 /**
  * Render cash flow table
@@ -11,8 +13,22 @@ import { formatCurrency, createElement } from './utils.js';
  * @param {number} bondPrice - Bond price for caption
  * @param {number} periods - Number of periods
  * @param {number} periodicCoupon - Periodic coupon payment
+ * @param {number} faceValue - Face value repaid at maturity
+ * @param {number} frequency - Payment frequency per year
+ * @param {Object} options - Table options
+ * @param {boolean} options.spotCurve - True when each flow is discounted at its own spot rate
+ * @param {string} options.structure - Key of BOND_STRUCTURES
+ * @param {Object} options.truncation - Shown periods and tail PV of a perpetual bond
  */
-export function renderTable(cashFlows, bondPrice, periods, periodicCoupon) {
+export function renderTable(
+  cashFlows,
+  bondPrice,
+  periods,
+  periodicCoupon,
+  faceValue,
+  frequency,
+  { spotCurve = false, structure = 'coupon', truncation = null } = {}
+) {
   const tableElement = document.getElementById('cash-flow-table');
   
   if (!tableElement) {
@@ -23,11 +39,49 @@ export function renderTable(cashFlows, bondPrice, periods, periodicCoupon) {
   // Clear existing content
   tableElement.innerHTML = '';
   
+  // Between coupon dates the first coupon follows a short (stub) period
+  const firstFlow = cashFlows[1];
+  const stubText = firstFlow && firstFlow.time < 1
+    ? `Settlement falls between coupon dates, so the first coupon is paid after a stub period of ` +
+      `${formatYears(firstFlow.yearLabel)} years. `
+    : '';
+  
+  // What the bond pays after the purchase
+  const paymentsText = {
+    coupon: `followed by ${periods} ${frequencyLabel(frequency)} coupon payments of ` +
+      `${formatCurrency(periodicCoupon)} each, plus principal repayment of ${formatFaceValue(faceValue)} at maturity. `,
+    zero: `followed by a single repayment of ${formatFaceValue(faceValue)} at maturity; ` +
+      `a zero-coupon bond pays no coupons. `,
+    perpetual: `followed by ${frequencyLabel(frequency)} coupon payments of ${formatCurrency(periodicCoupon)} ` +
+      `forever, with no principal repayment. The table lists the first ${truncation && truncation.shownPeriods} ` +
+      `coupons; its last row gives the present value of all later coupons. `,
+    level: `followed by ${periods} equal ${frequencyLabel(frequency)} payments that mix interest and principal. `,
+    straight: `followed by ${periods} ${frequencyLabel(frequency)} repayments of ${formatCurrency(faceValue / periods)} ` +
+      `principal each, plus interest. `,
+    sinking: `followed by ${frequencyLabel(frequency)} interest payments, sinking fund repayments of principal, ` +
+      `and the remaining principal at maturity. `,
+    frn: `followed by ${periods} ${frequencyLabel(frequency)} floating coupons, each the reference rate for its ` +
+      `period plus the quoted margin, plus principal repayment of ${formatFaceValue(faceValue)} at maturity. `
+  }[structure];
+  
+  // Amortizing bonds pay interest on a falling balance
+  const balanceText = AMORTIZING_STRUCTURES.includes(structure)
+    ? 'Coupons are paid on the principal outstanding at the start of each period, ' +
+      'and the outstanding principal column shows the balance after each payment. '
+    : '';
+  
   // Create caption for screen readers
   const caption = createElement('caption', { className: 'sr-only' },
     `Table showing bond cash flows: Initial purchase of ${formatCurrency(bondPrice)} at year 0, ` +
-    `followed by ${periods} semi-annual coupon payments of ${formatCurrency(periodicCoupon)} each, ` +
-    `plus principal repayment of ${formatCurrency(100)} at maturity. ` +
+    paymentsText +
+    balanceText +
+    stubText +
+    `Each future cash flow is multiplied by its discount factor` +
+    `${spotCurve ? ' (from the spot rate for its period)' : ''}` +
+    `${structure === 'frn' ? ' (compounded at the reference rate plus the discount margin)' : ''} ` +
+    `to give its present value; ` +
+    `the cumulative present value reaches the bond price ` +
+    `${truncation ? 'once the later coupons are added' : 'at maturity'}. ` +
     `Values in parentheses indicate cash outflows.`
   );
   tableElement.appendChild(caption);
@@ -41,7 +95,11 @@ export function renderTable(cashFlows, bondPrice, periods, periodicCoupon) {
     { text: 'Period (Years)', scope: 'col', className: 'text-left' },
     { text: 'Coupon Payment', scope: 'col', className: 'text-right' },
     { text: 'Principal Payment', scope: 'col', className: 'text-right' },
-    { text: 'Total Cash Flow', scope: 'col', className: 'text-right' }
+    { text: 'Outstanding Principal', scope: 'col', className: 'text-right' },
+    { text: 'Total Cash Flow', scope: 'col', className: 'text-right' },
+    { text: 'Discount Factor', scope: 'col', className: 'text-right' },
+    { text: 'PV of Cash Flow', scope: 'col', className: 'text-right' },
+    { text: 'Cumulative PV', scope: 'col', className: 'text-right' }
   ];
   
   headers.forEach(header => {
@@ -65,7 +123,7 @@ export function renderTable(cashFlows, bondPrice, periods, periodicCoupon) {
     const periodTh = createElement('th', {
       scope: 'row',
       className: 'text-left'
-    }, `${row.yearLabel} ${row.yearLabel === 1 ? 'year' : 'years'}`);
+    }, `${formatYears(row.yearLabel)} ${row.yearLabel === 1 ? 'year' : 'years'}`);
     tr.appendChild(periodTh);
     
     // Coupon payment cell
@@ -88,14 +146,42 @@ export function renderTable(cashFlows, bondPrice, periods, periodicCoupon) {
     }
     tr.appendChild(principalTd);
     
+    // Balance left after this period's repayment
+    const outstandingTd = createElement('td', { className: 'text-right' });
+    outstandingTd.textContent = formatCurrency(row.outstandingPrincipal);
+    tr.appendChild(outstandingTd);
+    
     // Total cash flow cell
     const totalTd = createElement('td', { className: 'text-right' });
     totalTd.textContent = formatCurrency(row.totalCashFlow, true);
     tr.appendChild(totalTd);
     
+    // Discount factor cell
+    const discountTd = createElement('td', { className: 'text-right' });
+    discountTd.textContent = row.discountFactor.toFixed(6);
+    tr.appendChild(discountTd);
+    
+    // Present value cells (the purchase at t=0 is not discounted)
+    const pvTd = createElement('td', { className: 'text-right' });
+    const cumulativeTd = createElement('td', { className: 'text-right' });
+    if (row.period > 0) {
+      pvTd.textContent = formatCurrency(row.presentValue);
+      cumulativeTd.textContent = formatCurrency(row.cumulativePV);
+    } else {
+      pvTd.appendChild(createElement('span', { 'aria-label': 'Not discounted' }, '—'));
+      cumulativeTd.appendChild(createElement('span', { 'aria-label': 'Not discounted' }, '—'));
+    }
+    tr.appendChild(pvTd);
+    tr.appendChild(cumulativeTd);
+    
     tbody.appendChild(tr);
   });
   
+  // A perpetual bond's coupons never end; sum the omitted tail in one row
+  if (truncation) {
+    tbody.appendChild(createTailRow(cashFlows[cashFlows.length - 1], periodicCoupon, truncation, bondPrice));
+  }
+  
   tableElement.appendChild(tbody);
   
   // Create table foot with totals
@@ -106,6 +192,10 @@ export function renderTable(cashFlows, bondPrice, periods, periodicCoupon) {
   const totalCoupon = cashFlows.reduce((sum, row) => sum + row.couponPayment, 0);
   const totalPrincipal = cashFlows.reduce((sum, row) => sum + row.principalPayment, 0);
   const totalCashFlow = cashFlows.reduce((sum, row) => sum + row.totalCashFlow, 0);
+  const totalPV = cashFlows
+    .filter(row => row.period > 0)
+    .reduce((sum, row) => sum + row.presentValue, 0) +
+    (truncation ? truncation.pvTail : 0);
   
   // Total row header
   const totalTh = createElement('th', {
@@ -114,9 +204,13 @@ export function renderTable(cashFlows, bondPrice, periods, periodicCoupon) {
   }, 'Total');
   footerRow.appendChild(totalTh);
   
-  // Total coupon
+  // Total coupon (a perpetual bond's coupons have no finite sum)
   const totalCouponTd = createElement('td', { className: 'text-right' });
-  totalCouponTd.textContent = formatCurrency(totalCoupon);
+  if (truncation) {
+    totalCouponTd.appendChild(createElement('span', { 'aria-label': 'Unlimited' }, '∞'));
+  } else {
+    totalCouponTd.textContent = formatCurrency(totalCoupon);
+  }
   footerRow.appendChild(totalCouponTd);
   
   // Total principal
@@ -124,11 +218,327 @@ export function renderTable(cashFlows, bondPrice, periods, periodicCoupon) {
   totalPrincipalTd.textContent = formatCurrency(totalPrincipal, true);
   footerRow.appendChild(totalPrincipalTd);
   
+  // Balances do not sum
+  footerRow.appendChild(createElement('td', { className: 'text-right' }));
+  
   // Total cash flow
   const totalCashFlowTd = createElement('td', { className: 'text-right' });
-  totalCashFlowTd.textContent = formatCurrency(totalCashFlow, true);
+  if (truncation) {
+    totalCashFlowTd.appendChild(createElement('span', { 'aria-label': 'Unlimited' }, '∞'));
+  } else {
+    totalCashFlowTd.textContent = formatCurrency(totalCashFlow, true);
+  }
   footerRow.appendChild(totalCashFlowTd);
   
+  // Discount factors do not sum
+  footerRow.appendChild(createElement('td', { className: 'text-right' }));
+  
+  // Total present value equals the bond price
+  const totalPVTd = createElement('td', { className: 'text-right' });
+  totalPVTd.textContent = formatCurrency(totalPV);
+  footerRow.appendChild(totalPVTd);
+  
+  // Cumulative PV at maturity is the bond price
+  const totalCumulativeTd = createElement('td', { className: 'text-right' });
+  totalCumulativeTd.textContent = formatCurrency(bondPrice);
+  footerRow.appendChild(totalCumulativeTd);
+  
   tfoot.appendChild(footerRow);
   tableElement.appendChild(tfoot);
 }
+
+/**
+ * Create the row summing the coupons a perpetual bond pays after the last row shown
+ * @param {Object} lastRow - Last cash flow shown in the table
+ * @param {number} periodicCoupon - Periodic coupon payment
+ * @param {Object} truncation - Shown periods and tail PV
+ * @param {number} bondPrice - Bond price, reached once the tail is added
+ * @returns {Element} Table row
+ */
+function createTailRow(lastRow, periodicCoupon, truncation, bondPrice) {
+  const dash = (label) => createElement('span', { 'aria-label': label }, '—');
+  const cell = (...children) => createElement('td', { className: 'text-right' }, ...children);
+  
+  return createElement('tr', { className: 'tail-row' },
+    createElement('th', { scope: 'row', className: 'text-left' },
+      `After ${formatYears(lastRow.yearLabel)} years`
+    ),
+    cell(`${formatCurrency(periodicCoupon)} forever`),
+    cell(dash('No payment')),
+    cell(formatCurrency(lastRow.outstandingPrincipal)),
+    cell(dash('Not summed')),
+    cell(dash('One factor per period')),
+    cell(formatCurrency(truncation.pvTail)),
+    cell(formatCurrency(bondPrice))
+  );
+}
+
+/**
+ * Render the term structure table: par yields with the bootstrapped discount
+ * factors, spot rates and one-period forward rates
+ * @param {Array} rows - Rows from bootstrapTermStructure
+ */
+export function renderTermStructureTable(rows) {
+  const tableElement = document.getElementById('term-structure-table');
+  
+  if (!tableElement) {
+    console.error('Term structure table element not found');
+    return;
+  }
+  
+  tableElement.innerHTML = '';
+  
+  const caption = createElement('caption', { className: 'sr-only' },
+    `Table of ${rows.length} maturities: the par yield entered, the discount factor and spot rate ` +
+    `bootstrapped from the par yields, and the one-period implied forward rate ending at each maturity.`
+  );
+  tableElement.appendChild(caption);
+  
+  // Header row
+  const thead = createElement('thead');
+  const headerRow = createElement('tr');
+  ['Maturity (Years)', 'Par Yield', 'Discount Factor', 'Spot Rate', 'Forward Rate'].forEach((text, index) => {
+    headerRow.appendChild(createElement('th', {
+      scope: 'col',
+      className: index === 0 ? 'text-left' : 'text-right'
+    }, text));
+  });
+  thead.appendChild(headerRow);
+  tableElement.appendChild(thead);
+  
+  // One row per maturity
+  const tbody = createElement('tbody');
+  rows.forEach(row => {
+    const tr = createElement('tr');
+    
+    tr.appendChild(createElement('th', { scope: 'row', className: 'text-left' },
+      `${formatYears(row.years)} ${row.years === 1 ? 'year' : 'years'}`
+    ));
+    
+    [
+      `${row.parYield.toFixed(3)}%`,
+      row.discountFactor.toFixed(6),
+      `${row.spotRate.toFixed(3)}%`,
+      `${row.forwardRate.toFixed(3)}%`
+    ].forEach(text => {
+      tr.appendChild(createElement('td', { className: 'text-right' }, text));
+    });
+    
+    tbody.appendChild(tr);
+  });
+  tableElement.appendChild(tbody);
+}
+
+/**
+ * Render the horizon return table: one column per rate scenario, with the
+ * reinvested value, sale price, return components and realized yield
+ * @param {Array} scenarios - Horizon returns from calculateHorizonScenarios
+ */
+export function renderHorizonTable(scenarios) {
+  const tableElement = document.getElementById('horizon-table');
+  
+  if (!tableElement) {
+    console.error('Horizon table element not found');
+    return;
+  }
+  
+  tableElement.innerHTML = '';
+  
+  const { horizonYears, matured } = scenarios[0];
+  const caption = createElement('caption', {},
+    `Return from holding the bond for ${formatYears(horizonYears)} ${horizonYears === 1 ? 'year' : 'years'}, ` +
+    `${matured ? 'past maturity' : 'then selling it'}, with the entered reinvestment rate and sale yield ` +
+    'and with both moved by the same number of basis points.'
+  );
+  tableElement.appendChild(caption);
+  
+  // Header row: one column per scenario
+  const thead = createElement('thead');
+  const headerRow = createElement('tr');
+  headerRow.appendChild(createElement('th', { scope: 'col', className: 'text-left' }, 'Measure'));
+  scenarios.forEach(({ shift }) => {
+    headerRow.appendChild(createElement('th', {
+      scope: 'col',
+      className: shift === 0 ? 'text-right active-scenario' : 'text-right'
+    }, horizonShiftLabel(shift)));
+  });
+  thead.appendChild(headerRow);
+  tableElement.appendChild(thead);
+  
+  const percent = (value) => `${value.toFixed(3)}%`;
+  const rows = [
+    ['Reinvestment rate', scenario => percent(scenario.reinvestmentRate)],
+    ['Sale yield', scenario => percent(scenario.saleYield)],
+    ['Purchase price (full)', scenario => formatCurrency(scenario.purchasePrice)],
+    ['Coupons received', scenario => formatCurrency(scenario.coupons)],
+    ['Interest on interest', scenario => formatCurrency(scenario.interestOnInterest, true)],
+    ['Principal received', scenario => formatCurrency(scenario.principalReceived)],
+    ['Reinvested value at horizon', scenario => formatCurrency(scenario.reinvestedValue)],
+    ['Sale price at horizon (full)', scenario => (scenario.matured ? 'Matured' : formatCurrency(scenario.salePrice))],
+    ['Capital gain or loss', scenario => formatCurrency(scenario.capitalGain, true)],
+    ['Total return', scenario => formatCurrency(scenario.totalReturn, true)],
+    ['Total return (%)', scenario => percent(scenario.totalReturnPercent)],
+    ['Realized yield', scenario => percent(scenario.realizedYield)],
+    ['Realized yield (effective annual)', scenario => percent(scenario.effectiveRealizedYield)]
+  ];
+  
+  // A bullet bond repays no principal before a horizon short of maturity
+  const shown = rows.filter(([label]) =>
+    label !== 'Principal received' || scenarios.some(scenario => scenario.principalReceived > 0)
+  );
+  
+  const tbody = createElement('tbody');
+  shown.forEach(([label, format]) => {
+    const tr = createElement('tr');
+    tr.appendChild(createElement('th', { scope: 'row', className: 'text-left' }, label));
+    scenarios.forEach(scenario => {
+      tr.appendChild(createElement('td', {
+        className: scenario.shift === 0 ? 'text-right active-scenario' : 'text-right'
+      }, format(scenario)));
+    });
+    tbody.appendChild(tr);
+  });
+  tableElement.appendChild(tbody);
+}
+
+/**
+ * Render the constant-yield price path table: the carrying value rolled from
+ * one coupon date to the next, with the premium amortized or discount accreted
+ * each period under the effective interest method
+ * @param {Array} rows - Rows from calculatePricePath
+ * @param {number} flatPrice - Flat price paid at settlement
+ */
+export function renderPricePathTable(rows, flatPrice) {
+  const tableElement = document.getElementById('price-path-table');
+  
+  if (!tableElement) {
+    console.error('Price path table element not found');
+    return;
+  }
+  
+  tableElement.innerHTML = '';
+  
+  const caption = createElement('caption', { className: 'sr-only' },
+    `Table of ${rows.length} coupon periods at an unchanged yield: the carrying value at the start ` +
+    'of each period, interest income at the yield, the coupon, the premium amortized (or, in ' +
+    'parentheses, the discount accreted), principal repaid and the carrying value at the end.'
+  );
+  tableElement.appendChild(caption);
+  
+  // Header row
+  const thead = createElement('thead');
+  const headerRow = createElement('tr');
+  [
+    'Period (Years)',
+    'Opening Value',
+    'Interest Income',
+    'Coupon',
+    'Amortization',
+    'Principal Repaid',
+    'Closing Value'
+  ].forEach((text, index) => {
+    headerRow.appendChild(createElement('th', {
+      scope: 'col',
+      className: index === 0 ? 'text-left' : 'text-right'
+    }, text));
+  });
+  thead.appendChild(headerRow);
+  tableElement.appendChild(thead);
+  
+  // Settlement, then one row per coupon date
+  const tbody = createElement('tbody');
+  const cell = (text) => createElement('td', { className: 'text-right' }, text);
+  const dash = (label) => cell(createElement('span', { 'aria-label': label }, '—'));
+  
+  const settlementRow = createElement('tr');
+  settlementRow.appendChild(createElement('th', { scope: 'row', className: 'text-left' }, 'Settlement'));
+  [1, 2, 3, 4, 5].forEach(() => settlementRow.appendChild(dash('Not applicable')));
+  settlementRow.appendChild(cell(formatCurrency(flatPrice)));
+  tbody.appendChild(settlementRow);
+  
+  rows.forEach(row => {
+    const tr = createElement('tr');
+    tr.appendChild(createElement('th', { scope: 'row', className: 'text-left' },
+      `${row.period} (${formatYears(row.yearLabel)})`
+    ));
+    [
+      formatCurrency(row.openingValue),
+      formatCurrency(row.interestIncome),
+      formatCurrency(row.coupon),
+      formatCurrency(row.amortization, true),
+      formatCurrency(row.principal),
+      formatCurrency(row.closingValue)
+    ].forEach(text => tr.appendChild(cell(text)));
+    tbody.appendChild(tr);
+  });
+  tableElement.appendChild(tbody);
+}
+
+/**
+ * Render the yield shock table: full repricing under each parallel shock
+ * against the duration and duration-plus-convexity estimates
+ * @param {Array} rows - Rows from generateYieldShocks
+ * @param {number} bondPrice - Price at the current yield
+ */
+export function renderYieldShockTable(rows, bondPrice) {
+  const tableElement = document.getElementById('yield-shock-table');
+  
+  if (!tableElement) {
+    console.error('Yield shock table element not found');
+    return;
+  }
+  
+  tableElement.innerHTML = '';
+  
+  const caption = createElement('caption', {},
+    `Price under parallel yield shocks, from ${formatCurrency(bondPrice)} today: full repricing ` +
+    'against the duration and duration plus convexity estimates, as percentage changes, and ' +
+    'each estimate\'s error (estimate less repriced value).'
+  );
+  tableElement.appendChild(caption);
+  
+  // Header row
+  const thead = createElement('thead');
+  const headerRow = createElement('tr');
+  [
+    'Shock',
+    'Yield',
+    'Repriced',
+    'Change',
+    'Duration Est.',
+    'Dur. + Conv. Est.',
+    'Duration Error',
+    'Dur. + Conv. Error'
+  ].forEach((text, index) => {
+    headerRow.appendChild(createElement('th', {
+      scope: 'col',
+      className: index === 0 ? 'text-left' : 'text-right'
+    }, text));
+  });
+  thead.appendChild(headerRow);
+  tableElement.appendChild(thead);
+  
+  // One row per shock
+  const percent = (value) => `${value > 0 ? '+' : ''}${value.toFixed(3)}%`;
+  const tbody = createElement('tbody');
+  rows.forEach(row => {
+    const tr = createElement('tr');
+    
+    tr.appendChild(createElement('th', { scope: 'row', className: 'text-left' }, formatBasisPoints(row.shock)));
+    
+    [
+      `${row.ytm.toFixed(2)}%`,
+      formatCurrency(row.price),
+      percent(row.priceChange),
+      percent(row.durationChange),
+      percent(row.convexityChange),
+      formatCurrency(row.durationError, true, 4),
+      formatCurrency(row.convexityError, true, 4)
+    ].forEach(text => {
+      tr.appendChild(createElement('td', { className: 'text-right' }, text));
+    });
+    
+    tbody.appendChild(tr);
+  });
+  tableElement.appendChild(tbody);
+}
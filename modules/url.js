@@ -0,0 +1,148 @@
+/**
+ * URL State Module
+ * Shareable scenario links: input state to and from the query string
+ */
+
+/**
+ * Query string parameter for each shareable state key
+ */
+const URL_PARAMS = {
+  structure: 'type',
+  couponRate: 'coupon',
+  ytm: 'ytm',
+  years: 'years',
+  frequency: 'freq',
+  faceValue: 'face',
+  price: 'price',
+  lastCouponDate: 'last',
+  settlementDate: 'settle',
+  dayCount: 'basis',
+  solveFor: 'solve',
+  pricingMode: 'pricing',
+  spotRates: 'spots',
+  sinkingFund: 'sink',
+  referenceRate: 'index',
+  referencePath: 'path',
+  referenceRates: 'indices',
+  quotedMargin: 'qm',
+  discountMargin: 'dm',
+  embeddedOption: 'option',
+  optionSchedule: 'exercise',
+  viewMode: 'view'
+};
+
+/**
+ * State keys written to the URL
+ */
+export const URL_STATE_KEYS = Object.keys(URL_PARAMS);
+
+/**
+ * State keys stored as text rather than numbers
+ */
+const TEXT_KEYS = ['structure', 'referencePath', 'embeddedOption', 'lastCouponDate', 'settlementDate', 'dayCount', 'solveFor', 'pricingMode', 'viewMode'];
+
+/**
+ * Floating-rate note terms, shared only for a floating-rate note
+ */
+const FLOATING_KEYS = ['referenceRate', 'referencePath', 'quotedMargin', 'discountMargin'];
+
+/**
+ * State keys stored as comma-separated lists of numbers, each shared only
+ * when the state uses it
+ */
+const LIST_KEYS = {
+  spotRates: (state) => state.pricingMode === 'spot',
+  sinkingFund: (state) => state.structure === 'sinking',
+  referenceRates: (state) => state.structure === 'frn' && state.referencePath === 'custom'
+};
+
+/**
+ * State keys stored as comma-separated date:price pairs, each shared only
+ * when the state uses it
+ */
+const SCHEDULE_KEYS = {
+  optionSchedule: (state) => state.embeddedOption !== 'none'
+};
+
+/**
+ * Serialize the shareable input state into a query string
+ * Solved (output) fields are left out because they are recomputed on load;
+ * off a spot curve or for a floating-rate note that includes the implied yield.
+ * @param {Object} state - Current state
+ * @returns {string} Query string without the leading "?"
+ */
+export function serializeState(state) {
+  const params = new URLSearchParams();
+  
+  Object.entries(URL_PARAMS).forEach(([key, param]) => {
+    if (key === state.solveFor) return;
+    if (key === 'ytm' && (state.pricingMode === 'spot' || state.structure === 'frn')) return;
+    if (FLOATING_KEYS.includes(key) && state.structure !== 'frn') return;
+  
+    const value = state[key];
+    if (TEXT_KEYS.includes(key)) {
+      params.set(param, value);
+    } else if (LIST_KEYS[key]) {
+      // Only share a list when it is used
+      if (LIST_KEYS[key](state)) {
+        params.set(param, value.join(','));
+      }
+    } else if (SCHEDULE_KEYS[key]) {
+      if (SCHEDULE_KEYS[key](state)) {
+        params.set(param, value.map(({ date, price }) => `${date}:${price}`).join(','));
+      }
+    } else if (Number.isFinite(value)) {
+      // Trim floating-point noise from solved or computed values
+      params.set(param, String(Number(value.toFixed(6))));
+    } else {
+      // Keep invalid input visible as empty rather than "NaN"
+      params.set(param, '');
+    }
+  });
+  
+  return params.toString();
+}
+
+/**
+ * Parse shareable state from a query string
+ * Only keys present in the query are returned; numbers are not validated here.
+ * @param {string} search - Query string (e.g., window.location.search)
+ * @returns {Object} Partial state
+ */
+export function parseStateFromQuery(search) {
+  const params = new URLSearchParams(search);
+  const restored = {};
+  
+  Object.entries(URL_PARAMS).forEach(([key, param]) => {
+    if (!params.has(param)) return;
+  
+    const raw = params.get(param);
+    if (TEXT_KEYS.includes(key)) {
+      restored[key] = raw;
+    } else if (LIST_KEYS[key]) {
+      restored[key] = raw === '' ? [] : raw.split(',').map(parseFloat);
+    } else if (SCHEDULE_KEYS[key]) {
+      restored[key] = raw === '' ? [] : raw.split(',').map(pair => {
+        const [date, price] = pair.split(':');
+        return { date, price: parseFloat(price) };
+      });
+    } else {
+      restored[key] = parseFloat(raw);
+    }
+  });
+  
+  return restored;
+}
+
+/**
+ * Replace the current URL with one describing the state (no history entry)
+ * @param {Object} state - Current state
+ */
+export function writeStateToUrl(state) {
+  const query = serializeState(state);
+  
+  if (window.location.search === `?${query}`) return;
+  
+  const url = `${window.location.pathname}?${query}${window.location.hash}`;
+  window.history.replaceState(null, '', url);
+}
@@ -3,13 +3,24 @@
  * Reusable helpers for formatting and DOM manipulation
  */
 
+/**
+ * Payment frequency names, keyed by payments per year
+ */
+const FREQUENCY_LABELS = {
+  1: 'annual',
+  2: 'semi-annual',
+  4: 'quarterly',
+  12: 'monthly'
+};
+
 /**
  * Format number as USD currency
  * @param {number} amount - Amount to format
  * @param {boolean} showNegativeAsParens - Show negative as (amount) instead of -amount
+ * @param {number} decimals - Number of decimal places
  * @returns {string} Formatted currency string
  */
-export function formatCurrency(amount, showNegativeAsParens = false) {
+export function formatCurrency(amount, showNegativeAsParens = false, decimals = 2) {
   if (isNaN(amount)) {
     return '$0.00';
   }
@@ -17,8 +28,8 @@ export function formatCurrency(amount, showNegativeAsParens = false) {
   const formatter = new Intl.NumberFormat('en-US', {
     style: 'currency',
     currency: 'USD',
-    minimumFractionDigits: 2,
-    maximumFractionDigits: 2
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals
   });
   
   const formattedAmount = formatter.format(Math.abs(amount));
@@ -34,6 +45,42 @@ export function formatCurrency(amount, showNegativeAsParens = false) {
   return formattedAmount;
 }
 
+/**
+ * Format face value as currency, without cents for whole amounts
+ * @param {number} faceValue - Face value
+ * @returns {string} Formatted face value (e.g., "$1,000")
+ */
+export function formatFaceValue(faceValue) {
+  return formatCurrency(faceValue, false, Number.isInteger(faceValue) ? 0 : 2);
+}
+
+/**
+ * Format a time in years for labels (trims long fractions, e.g. monthly periods)
+ * @param {number} years - Time in years
+ * @returns {string} Formatted number of years
+ */
+export function formatYears(years) {
+  return String(parseFloat(years.toFixed(3)));
+}
+
+/**
+ * Format a signed shift in basis points
+ * @param {number} basisPoints - Shift in basis points
+ * @returns {string} Shift with its sign (e.g., "+50 bp", "−200 bp")
+ */
+export function formatBasisPoints(basisPoints) {
+  return `${basisPoints > 0 ? '+' : basisPoints < 0 ? '−' : ''}${Math.abs(basisPoints)} bp`;
+}
+
+/**
+ * Get the name of a payment frequency
+ * @param {number} frequency - Payments per year
+ * @returns {string} Frequency name (e.g., "semi-annual")
+ */
+export function frequencyLabel(frequency) {
+  return FREQUENCY_LABELS[frequency] || `${frequency} times a year`;
+}
+
 /**
  * Simplified query selector
  * @param {string} selector - CSS selector
@@ -149,6 +196,28 @@ export function debounce(func, wait = 300) {
   };
 }
 
+/**
+ * Throttle a function to one call per animation frame
+ * Calls made while a frame is pending are merged; the frame runs the
+ * function once with the latest arguments.
+ * @param {Function} func - Function to throttle
+ * @returns {Function} Throttled function
+ */
+export function throttleToFrame(func) {
+  let frame = null;
+  let latestArgs = [];
+  
+  return function throttledFunction(...args) {
+    latestArgs = args;
+    if (frame !== null) return;
+    
+    frame = requestAnimationFrame(() => {
+      frame = null;
+      func(...latestArgs);
+    });
+  };
+}
+
 /**
  * Move focus to an element
  * @param {Element|string} element - Element or selector
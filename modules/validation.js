@@ -3,6 +3,9 @@
  * Input validation and error handling
  */
 
+import { parseDate, addMonths, formatDate, couponPeriod, DAY_COUNT_CONVENTIONS } from './daycount.js';
+import { couponNumber } from './redemption.js';
+
 /**
  * Validation rules for each input field
  */
@@ -24,9 +27,74 @@ const validationRules = {
     max: 5,
     label: 'Years-to-maturity',
     errorMessage: 'Years-to-maturity must be between 1 and 5'
+  },
+  price: {
+    min: 1,
+    max: 200,
+    label: 'Bond price',
+    errorMessage: 'Bond price must be between 1 and 200 per 100 of par'
+  },
+  faceValue: {
+    min: 1,
+    max: 1000000,
+    label: 'Face value',
+    errorMessage: 'Face value must be between $1 and $1,000,000'
+  },
+  referenceRate: {
+    min: 0,
+    max: 20,
+    label: 'Reference rate',
+    errorMessage: 'Reference rate must be between 0% and 20%'
+  },
+  quotedMargin: {
+    min: 0,
+    max: 1000,
+    label: 'Quoted margin',
+    errorMessage: 'Quoted margin must be between 0 and 1,000 basis points'
+  },
+  discountMargin: {
+    min: -500,
+    max: 1000,
+    label: 'Discount margin',
+    errorMessage: 'Discount margin must be between −500 and 1,000 basis points'
+  },
+  frequency: {
+    allowed: [1, 2, 4, 12],
+    label: 'Payment frequency',
+    errorMessage: 'Payment frequency must be annual, semi-annual, quarterly or monthly'
+  }
+};
+
+/**
+ * Validation rules for the horizon return view, checked apart from the bond
+ * inputs so that a bad horizon never blocks pricing
+ */
+const horizonRules = {
+  horizonYears: {
+    min: 0.25,
+    max: 30,
+    label: 'Horizon',
+    errorMessage: 'Horizon must be between 0.25 and 30 years'
+  },
+  reinvestmentRate: {
+    min: 0,
+    max: 20,
+    label: 'Reinvestment rate',
+    errorMessage: 'Reinvestment rate must be between 0% and 20%'
+  },
+  saleYield: {
+    min: 0,
+    max: 20,
+    label: 'Sale yield',
+    errorMessage: 'Sale yield must be between 0% and 20%'
   }
 };
 
+/**
+ * Fields used only by floating-rate notes
+ */
+const FLOATING_FIELDS = ['referenceRate', 'quotedMargin', 'discountMargin'];
+
 /**
  * Validate a single field
  * @param {string} field - Field name
@@ -34,7 +102,7 @@ const validationRules = {
  * @returns {string|null} Error message or null if valid
  */
 export function validateField(field, value) {
-  const rules = validationRules[field];
+  const rules = validationRules[field] || horizonRules[field];
   
   if (!rules) {
     return null;
@@ -45,6 +113,11 @@ export function validateField(field, value) {
     return `${rules.label} is required`;
   }
   
+  // Check allowed values
+  if (rules.allowed && !rules.allowed.includes(value)) {
+    return rules.errorMessage;
+  }
+  
   // Check min/max bounds
   if (value < rules.min || value > rules.max) {
     return rules.errorMessage;
@@ -53,6 +126,229 @@ export function validateField(field, value) {
   return null;
 }
 
+/**
+ * Validate that the maturity is a whole number of payment periods
+ * @param {number} years - Years to maturity
+ * @param {number} frequency - Payment frequency per year
+ * @returns {string|null} Error message or null if valid
+ */
+export function validatePeriods(years, frequency) {
+  const periods = years * frequency;
+  
+  if (Math.abs(periods - Math.round(periods)) > 1e-9) {
+    return 'Years-to-maturity must be a whole number of payment periods';
+  }
+  
+  return null;
+}
+
+/**
+ * Validate that settlement falls within the coupon period after the last coupon date
+ * Conventions with a fixed period length (360/f or 365/f days) can run out
+ * before the next coupon date, so settlement must also accrue less than one
+ * period under the day count.
+ * @param {string} lastCouponDate - Last coupon date (YYYY-MM-DD)
+ * @param {string} settlementDate - Settlement date (YYYY-MM-DD)
+ * @param {number} frequency - Payment frequency per year
+ * @param {string} convention - Key of DAY_COUNT_CONVENTIONS
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateSettlement(lastCouponDate, settlementDate, frequency, convention) {
+  const lastCoupon = parseDate(lastCouponDate);
+  const settlement = parseDate(settlementDate);
+  
+  if (!lastCoupon) {
+    return 'Last coupon date must be a valid date';
+  }
+  if (!settlement) {
+    return 'Settlement date must be a valid date';
+  }
+  if (settlement < lastCoupon) {
+    return 'Settlement date must be on or after the last coupon date';
+  }
+  
+  const nextCoupon = addMonths(lastCoupon, 12 / frequency);
+  if (settlement >= nextCoupon) {
+    return `Settlement date must be before the next coupon date (${formatDate(nextCoupon)})`;
+  }
+  
+  const { daysAccrued, daysInPeriod } = couponPeriod({
+    convention, lastCouponDate: lastCoupon, settlementDate: settlement, frequency
+  });
+  if (daysAccrued >= daysInPeriod) {
+    return `Settlement date must be less than one ${DAY_COUNT_CONVENTIONS[convention]} ` +
+      `coupon period (${daysInPeriod} days) after the last coupon date`;
+  }
+  
+  return null;
+}
+
+/**
+ * Validate the inputs a perpetual bond's price of PMT/r depends on: a coupon
+ * to pay and, unless the yield is solved for, a positive yield to discount it
+ * @param {Object} inputs - Input values (couponRate, ytm, solveFor)
+ * @returns {Object} Error messages keyed by field (empty if valid)
+ */
+export function validatePerpetual(inputs) {
+  const errors = {};
+  
+  if (!(inputs.couponRate > 0)) {
+    errors.couponRate = 'A perpetual bond needs a coupon rate above 0%';
+  }
+  if (inputs.solveFor !== 'ytm' && !(inputs.ytm > 0)) {
+    errors.ytm = 'Yield must be above 0% to value a perpetual bond';
+  }
+  
+  return errors;
+}
+
+/**
+ * Validate a list of rates against the number of periods it must cover
+ * @param {Array<number>} rates - Annual rates (percentage), one per period
+ * @param {number} periods - Number of periods to maturity
+ * @param {string} label - Name of the rates, e.g. "spot rate"
+ * @returns {string|null} Error message or null if valid
+ */
+function validateRateList(rates, periods, label) {
+  const invalid = rates.findIndex(rate => !Number.isFinite(rate));
+  const capitalized = label.charAt(0).toUpperCase() + label.slice(1);
+  
+  if (invalid > -1) {
+    return `${capitalized} ${invalid + 1} is not a number`;
+  }
+  if (rates.some(rate => rate < -5 || rate > 20)) {
+    return `${capitalized}s must be between -5% and 20%`;
+  }
+  if (rates.length < periods) {
+    return `Enter ${periods} ${label}s, one per period (${rates.length} entered)`;
+  }
+  
+  return null;
+}
+
+/**
+ * Validate a spot rate curve against the number of periods it must cover
+ * @param {Array<number>} spotRates - Annual spot rates (percentage), one per period
+ * @param {number} periods - Number of periods to maturity
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateSpotRates(spotRates, periods) {
+  return validateRateList(spotRates, periods, 'spot rate');
+}
+
+/**
+ * Validate par yields for bootstrapping up to the bond's maturity
+ * @param {Array<number>} parYields - Annual par yields (percentage), one per period
+ * @param {number} periods - Number of periods to maturity
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateParYields(parYields, periods) {
+  return validateRateList(parYields, periods, 'par yield');
+}
+
+/**
+ * Validate a floating-rate note's reference rate path
+ * @param {Array<number>} referenceRates - Annual reference rates (percentage), one per period
+ * @param {number} periods - Number of periods to maturity
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateReferenceRates(referenceRates, periods) {
+  return validateRateList(referenceRates, periods, 'reference rate');
+}
+
+/**
+ * Validate a sinking fund schedule
+ * Entries beyond the last period before maturity are ignored; whatever the
+ * schedule leaves outstanding is repaid at maturity.
+ * @param {Array<number>} sinkingFund - Percent of face value retired each period
+ * @param {number} periods - Number of periods to maturity
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateSinkingFund(sinkingFund, periods) {
+  const used = sinkingFund.slice(0, Math.max(periods - 1, 0));
+  const invalid = used.findIndex(percent => !Number.isFinite(percent));
+  
+  if (invalid > -1) {
+    return `Sinking fund payment ${invalid + 1} is not a number`;
+  }
+  if (used.some(percent => percent < 0 || percent > 100)) {
+    return 'Sinking fund payments must be between 0% and 100% of face value';
+  }
+  if (used.reduce((sum, percent) => sum + percent, 0) > 100 + 1e-9) {
+    return 'Sinking fund payments before maturity cannot retire more than 100% of face value';
+  }
+  
+  return null;
+}
+
+/**
+ * Validate a call or put schedule
+ * Exercise dates must be coupon dates after the last coupon date and, unless
+ * the bond is perpetual, on or before maturity.
+ * @param {Array<Object>} schedule - Exercise dates and prices ({ date, price })
+ * @param {Object} bond - Bond terms (option, lastCouponDate, frequency, periods)
+ *   with periods Infinity for a perpetual bond
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateOptionSchedule(schedule, { option, lastCouponDate, frequency, periods }) {
+  const label = option === 'put' ? 'Put' : 'Call';
+  
+  if (schedule.length === 0) {
+    return `Add at least one ${label.toLowerCase()} date`;
+  }
+  
+  for (let i = 0; i < schedule.length; i++) {
+    const { date, price } = schedule[i];
+    const period = couponNumber(lastCouponDate, date, frequency);
+  
+    if (!parseDate(date)) {
+      return `${label} date ${i + 1} must be a valid date`;
+    }
+    if (period === null) {
+      return `${label} date ${i + 1} must be a coupon date (every ${12 / frequency} months from the last coupon date)`;
+    }
+    if (period < 1) {
+      return `${label} date ${i + 1} must be after the last coupon date`;
+    }
+    if (period > periods) {
+      const maturity = formatDate(addMonths(parseDate(lastCouponDate), periods * 12 / frequency));
+      return `${label} date ${i + 1} must be on or before maturity (${maturity})`;
+    }
+    if (schedule.slice(0, i).some(entry => entry.date === date)) {
+      return `${label} date ${i + 1} is listed twice`;
+    }
+    if (!Number.isFinite(price) || price < 50 || price > 150) {
+      return `${label} prices must be between 50 and 150 per 100 of par`;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Validate the horizon return inputs
+ * @param {Object} inputs - Horizon inputs (horizonYears, reinvestmentRate, saleYield)
+ *   and the bond structure
+ * @returns {Object} Object with field names as keys and error messages as values
+ */
+export function validateHorizon(inputs) {
+  const errors = {};
+  
+  Object.keys(horizonRules).forEach(field => {
+    const error = validateField(field, inputs[field]);
+    if (error) {
+      errors[field] = error;
+    }
+  });
+  
+  // A perpetual bond is sold for PMT/r, which needs a positive yield
+  if (!errors.saleYield && inputs.structure === 'perpetual' && !(inputs.saleYield > 0)) {
+    errors.saleYield = 'Sale yield must be above 0% to value a perpetual bond';
+  }
+  
+  return errors;
+}
+
 /**
  * Validate all input fields
  * @param {Object} inputs - Object with all input values
@@ -62,12 +358,102 @@ export function validateAllInputs(inputs) {
   const errors = {};
   
   Object.keys(validationRules).forEach(field => {
+    // The solved-for field is an output, not an input
+    if (field === inputs.solveFor) return;
+    
+    // Pricing off a spot curve makes the yield an output too
+    if (field === 'ytm' && inputs.pricingMode === 'spot') return;
+    
+    // A zero-coupon bond has no coupon rate, a perpetual bond no maturity
+    if (field === 'couponRate' && inputs.structure === 'zero') return;
+    if (field === 'years' && inputs.structure === 'perpetual') return;
+    
+    // A floating-rate note's coupon and yield come from the reference rate and
+    // margins, which no other bond uses
+    if (['couponRate', 'ytm'].includes(field) && inputs.structure === 'frn') return;
+    if (FLOATING_FIELDS.includes(field) && inputs.structure !== 'frn') return;
+    if (field === 'referenceRate' && inputs.referencePath === 'custom') return;
+    
     const error = validateField(field, inputs[field]);
     if (error) {
       errors[field] = error;
     }
   });
   
+  if (inputs.structure === 'perpetual') {
+    const perpetualErrors = validatePerpetual(inputs);
+    Object.keys(perpetualErrors).forEach(field => {
+      if (!errors[field]) {
+        errors[field] = perpetualErrors[field];
+      }
+    });
+    if (inputs.pricingMode === 'spot') {
+      errors.pricingMode = 'Spot curve pricing needs a bond with a finite maturity';
+    }
+  }
+  
+  // A floating-rate note is priced forward from its discount margin
+  if (inputs.structure === 'frn') {
+    if (inputs.pricingMode === 'spot') {
+      errors.pricingMode = 'A floating-rate note is discounted at the reference rate plus its discount margin';
+    }
+    if (inputs.solveFor === 'ytm') {
+      errors.solveFor = 'A floating-rate note is priced from its discount margin';
+    }
+  }
+  
+  // Cross-field check once years and frequency are individually valid
+  if (inputs.structure !== 'perpetual' && !errors.years && !errors.frequency) {
+    const periodsError = validatePeriods(inputs.years, inputs.frequency);
+    if (periodsError) {
+      errors.years = periodsError;
+    }
+  }
+  
+  if (inputs.structure === 'sinking' && !errors.years && !errors.frequency) {
+    const sinkingError = validateSinkingFund(inputs.sinkingFund, inputs.years * inputs.frequency);
+    if (sinkingError) {
+      errors.sinkingFund = sinkingError;
+    }
+  }
+  
+  // Exercise dates are counted in coupon periods from the last coupon date
+  if (inputs.embeddedOption !== 'none' && !errors.years && !errors.frequency &&
+      parseDate(inputs.lastCouponDate)) {
+    const optionError = validateOptionSchedule(inputs.optionSchedule, {
+      option: inputs.embeddedOption,
+      lastCouponDate: inputs.lastCouponDate,
+      frequency: inputs.frequency,
+      periods: inputs.structure === 'perpetual' ? Infinity : inputs.years * inputs.frequency
+    });
+    if (optionError) {
+      errors.optionSchedule = optionError;
+    }
+  }
+  
+  if (inputs.structure === 'frn' && inputs.referencePath === 'custom' && !errors.years && !errors.frequency) {
+    const referenceError = validateReferenceRates(inputs.referenceRates, inputs.years * inputs.frequency);
+    if (referenceError) {
+      errors.referenceRates = referenceError;
+    }
+  }
+  
+  if (inputs.pricingMode === 'spot' && !errors.pricingMode && !errors.years && !errors.frequency) {
+    const spotError = validateSpotRates(inputs.spotRates, inputs.years * inputs.frequency);
+    if (spotError) {
+      errors.spotRates = spotError;
+    }
+  }
+  
+  if (!errors.frequency) {
+    const settlementError = validateSettlement(
+      inputs.lastCouponDate, inputs.settlementDate, inputs.frequency, inputs.dayCount
+    );
+    if (settlementError) {
+      errors.settlementDate = settlementError;
+    }
+  }
+  
   return errors;
 }
 
@@ -0,0 +1,142 @@
+/**
+ * Yield Measures Module
+ * Current yield, simple yield, street and true yield, and the yield-to-maturity
+ * restated under other compounding frequencies
+ */
+
+import { parseDate, addMonths, dayCount } from './daycount.js';
+
+/**
+ * Compounding frequencies a yield can be restated in (periods per year;
+ * continuous compounding has no whole number of periods)
+ */
+export const COMPOUNDING = [
+  { key: 'annual', label: 'Annual', periods: 1 },
+  { key: 'semiannual', label: 'Semi-annual', periods: 2 },
+  { key: 'quarterly', label: 'Quarterly', periods: 4 },
+  { key: 'monthly', label: 'Monthly', periods: 12 },
+  { key: 'continuous', label: 'Continuous', periods: Infinity }
+];
+
+/**
+ * Restate an effective annual yield under another compounding frequency
+ * @param {number} effectiveYield - Effective annual yield (decimal)
+ * @param {number} periods - Compounding periods per year (Infinity for continuous)
+ * @returns {number} Annual rate compounded `periods` times a year (decimal)
+ */
+export function equivalentYield(effectiveYield, periods) {
+  if (periods === Infinity) return Math.log(1 + effectiveYield);
+  return periods * (Math.pow(1 + effectiveYield, 1 / periods) - 1);
+}
+
+/**
+ * Days a payment due on a weekend is pushed to the next business day
+ * (no holiday calendar is applied)
+ * @param {Date} date - Scheduled payment date
+ * @returns {number} 2 for a Saturday, 1 for a Sunday, otherwise 0
+ */
+function businessDayDelay(date) {
+  return { 6: 2, 0: 1 }[date.getUTCDay()] || 0;
+}
+
+/**
+ * Solve the periodic yield that discounts flows at given times to a price
+ * Newton's method starting from the street yield, which is always close.
+ * @param {Array<Object>} flows - Cash flows ({ amount, time } with time in periods)
+ * @param {number} price - Full price to match
+ * @param {number} guess - Starting periodic yield
+ * @param {number} maxIterations - Maximum number of iterations
+ * @param {number} tolerance - Price error to stop at
+ * @returns {number} Periodic yield, or NaN if it does not converge
+ */
+function solvePeriodicYield(flows, price, guess, maxIterations = 50, tolerance = 1e-10) {
+  let periodicYield = guess;
+  
+  for (let i = 0; i < maxIterations; i++) {
+    let value = 0;
+    let slope = 0;
+    flows.forEach(({ amount, time }) => {
+      const pv = amount / Math.pow(1 + periodicYield, time);
+      value += pv;
+      slope -= time * pv / (1 + periodicYield);
+    });
+    
+    if (Math.abs(value - price) < tolerance) return periodicYield;
+    periodicYield -= (value - price) / slope;
+  }
+  
+  return NaN;
+}
+
+/**
+ * Calculate the true yield: payments due on a weekend arrive on the following
+ * Monday, so each such flow is discounted over the extra days as a share of its
+ * coupon period. The street yield assumes every payment is made on schedule.
+ * @param {Object} calculations - Bond calculations from calculateFromInputs
+ * @param {Object} inputs - Bond inputs (frequency, lastCouponDate)
+ * @returns {Object} True yield (percentage) and the number of delayed payments
+ */
+function calculateTrueYield(calculations, inputs) {
+  const { frequency } = inputs;
+  const lastCouponDate = parseDate(inputs.lastCouponDate);
+  let delayed = 0;
+  
+  const flows = calculations.cashFlows
+    .filter(cf => cf.period > 0)
+    .map(({ period, time, totalCashFlow }) => {
+      const start = addMonths(lastCouponDate, (period - 1) * 12 / frequency);
+      const due = addMonths(lastCouponDate, period * 12 / frequency);
+      const delay = businessDayDelay(due);
+      if (delay > 0) delayed++;
+      
+      return { amount: totalCashFlow, time: time + delay / dayCount('ACT/ACT', start, due) };
+    });
+  
+  const periodicYield = solvePeriodicYield(flows, calculations.fullPrice, calculations.periodicYield);
+  
+  return { trueYield: periodicYield * frequency * 100, delayedPayments: delayed };
+}
+
+/**
+ * Calculate alternative yield measures
+ * Current yield is the annual coupon over the flat price. Simple yield adds the
+ * gain or loss to par, spread evenly over the years remaining, to the annual
+ * coupon. The yield-to-maturity compounds at the coupon frequency; it is
+ * restated as an effective annual yield and as equivalent rates for other
+ * compounding frequencies. A perpetual bond has no pull to par, and no final
+ * payment date for a true yield.
+ * @param {Object} calculations - Bond calculations from calculateFromInputs
+ * @param {Object} inputs - Bond inputs (faceValue, frequency, lastCouponDate)
+ * @returns {Object} Yield measures (percentages)
+ */
+export function calculateYieldMeasures(calculations, inputs) {
+  const { faceValue, frequency } = inputs;
+  const { structure, flatPrice, periodicCoupon, periodicYield, periods, accrualFraction } = calculations;
+  const perpetual = structure === 'perpetual';
+  
+  const annualCoupon = periodicCoupon * frequency;
+  const yearsRemaining = (periods - accrualFraction) / frequency;
+  const pullToPar = perpetual ? 0 : (faceValue - flatPrice) / yearsRemaining;
+  
+  const effectiveYield = Math.pow(1 + periodicYield, frequency) - 1;
+  const equivalents = COMPOUNDING.map(({ key, label, periods: compounding }) => ({
+    key,
+    label,
+    periods: compounding,
+    rate: equivalentYield(effectiveYield, compounding) * 100
+  }));
+  
+  const { trueYield, delayedPayments } = perpetual
+    ? { trueYield: null, delayedPayments: 0 }
+    : calculateTrueYield(calculations, inputs);
+  
+  return {
+    currentYield: annualCoupon / flatPrice * 100,
+    simpleYield: (annualCoupon + pullToPar) / flatPrice * 100,
+    streetYield: periodicYield * frequency * 100,
+    trueYield,
+    delayedPayments,
+    effectiveYield: effectiveYield * 100,
+    equivalents
+  };
+}